@@ -5,7 +5,18 @@ var builder = WebApplication.CreateBuilder(args);
 
 // Add services to the container.
 builder.Services.AddRazorComponents()
-    .AddInteractiveServerComponents();
+    .AddInteractiveServerComponents()
+    .AddHubOptions(options =>
+    {
+        // Pasted and dropped flow JSON is passed to .NET through JS interop;
+        // the 32KB default is too small for real flows (the client caps
+        // imports at 4MB, see maxImportSize in editor-interop.js)
+        options.MaximumReceiveMessageSize = 8 * 1024 * 1024;
+    });
+
+// Runtime comms (debug, status and notifications) - SignalR hub at /comms
+builder.Services.AddSingleton<ICommsService, CommsService>();
+builder.Services.AddSingleton<TraceSubscriptions>();
 
 // Add HttpClient for API calls
 builder.Services.AddHttpClient();
@@ -19,6 +30,23 @@ builder.Services.AddScoped<EditorState>(sp =>
     return new EditorState(httpClient);
 });
 
+builder.Services.AddScoped<NotificationService>();
+
+// Debug and status streams, received by the browser from /comms and
+// batched into the session (see Services/CommsClient.cs)
+builder.Services.AddScoped<DebugMessageService>();
+builder.Services.AddScoped<CommsClient>();
+
+// Other editors' cursors and selections (see Services/Presence.cs)
+builder.Services.AddScoped<PresenceService>();
+
+// Named editor commands shared by the keymap, menus and command palette
+// (see Services/Actions.cs)
+builder.Services.AddScoped<ActionRegistry>();
+
+// Local drafts of undeployed flows, kept in the browser (see Services/Drafts.cs)
+builder.Services.AddScoped<DraftService>();
+
 var app = builder.Build();
 
 // Configure the HTTP request pipeline.
@@ -37,4 +65,6 @@ app.UseAntiforgery();
 app.MapRazorComponents<App>()
     .AddInteractiveServerRenderMode();
 
+app.MapHub<CommsHub>("/comms");
+
 app.Run();
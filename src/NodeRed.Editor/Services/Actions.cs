@@ -0,0 +1,304 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/actions.js
+// ============================================================
+// Every command the editor offers, by name. Components add the
+// actions they own when they start and remove them when they go; the
+// keymap, the main menu, the context menu and the command palette all
+// run them through here. Bindings live in the keymap in
+// editor-interop.js, which reports them whenever they change.
+// ============================================================
+
+using Microsoft.JSInterop;
+
+namespace NodeRed.Editor.Services;
+
+/// <summary>
+/// A named editor command.
+/// </summary>
+public class EditorAction
+{
+    public string Id { get; init; } = "";
+    public string Label { get; init; } = "";
+    public Func<Task> Handler { get; init; } = () => Task.CompletedTask;
+
+    /// <summary>
+    /// Whether the action can run now; always if not set.
+    /// </summary>
+    public Func<bool>? When { get; init; }
+
+    /// <summary>
+    /// For toggles, whether the option is on. Null for plain commands.
+    /// </summary>
+    public Func<bool>? Checked { get; init; }
+
+    public bool Enabled => When?.Invoke() ?? true;
+
+    public EditorAction()
+    {
+    }
+
+    public EditorAction(string id, string label, Action handler, Func<bool>? when = null)
+    {
+        Id = id;
+        Label = label;
+        Handler = () =>
+        {
+            handler();
+            return Task.CompletedTask;
+        };
+        When = when;
+    }
+
+    public EditorAction(string id, string label, Func<Task> handler, Func<bool>? when = null)
+    {
+        Id = id;
+        Label = label;
+        Handler = handler;
+        When = when;
+    }
+}
+
+/// <summary>
+/// Where a search matched an action's label, for highlighting.
+/// </summary>
+public record ActionMatch(EditorAction Action, int Score, IReadOnlyList<int> Positions);
+
+public class ActionRegistry : IDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly Dictionary<string, EditorAction> _actions = new();
+    private List<KeyBinding> _bindings = new();
+    private DotNetObjectReference<ActionRegistry>? _reference;
+
+    public ActionRegistry(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    /// <summary>
+    /// Raised when actions are added or removed, or the keymap changes.
+    /// </summary>
+    public event Action? Changed;
+
+    /// <summary>
+    /// Raised after an action has run, wherever it was run from, so
+    /// components whose state it may have changed can re-render.
+    /// </summary>
+    public event Action<string>? Invoked;
+
+    public IReadOnlyCollection<EditorAction> All => _actions.Values;
+
+    /// <summary>
+    /// Start following the keymap. Needs initKeyboard to have run.
+    /// </summary>
+    public async Task StartAsync()
+    {
+        _reference ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.watchKeymap", _reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    [JSInvokable]
+    public void OnKeymapChanged(List<KeyBinding> bindings)
+    {
+        _bindings = bindings;
+        Changed?.Invoke();
+    }
+
+    /// <summary>
+    /// Add an action, replacing any with the same id.
+    /// </summary>
+    public void Add(EditorAction action)
+    {
+        _actions[action.Id] = action;
+        Changed?.Invoke();
+    }
+
+    public void Remove(string id)
+    {
+        if (_actions.Remove(id))
+        {
+            Changed?.Invoke();
+        }
+    }
+
+    public EditorAction? Get(string id) => _actions.GetValueOrDefault(id);
+
+    public string GetLabel(string id) => _actions.TryGetValue(id, out var action) ? action.Label : id;
+
+    public bool IsEnabled(string id) => _actions.TryGetValue(id, out var action) && action.Enabled;
+
+    /// <summary>
+    /// Run an action. Returns false if it is unknown or disabled.
+    /// </summary>
+    public async Task<bool> InvokeAsync(string id)
+    {
+        if (!_actions.TryGetValue(id, out var action) || !action.Enabled)
+        {
+            return false;
+        }
+        await action.Handler();
+        Invoked?.Invoke(id);
+        return true;
+    }
+
+    /// <summary>
+    /// The first key bound to an action, formatted for display ("Ctrl+Shift+Z"),
+    /// or "" if it is unbound.
+    /// </summary>
+    public string GetShortcut(string id)
+    {
+        var binding = _bindings.FirstOrDefault(b => b.Action == id && !string.IsNullOrEmpty(b.Key));
+        return binding == null ? "" : FormatKey(binding.Key);
+    }
+
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/actionList.js
+    // ============================================================
+    // Fuzzy search for the command palette: the query's characters have
+    // to appear in order in the label (or the id), not necessarily
+    // together. Matches at word starts and runs of matching characters
+    // rank highest, so "zf" puts "Zoom to fit" first.
+    // ============================================================
+    private const int IdMatchPenalty = 10;
+
+    public List<ActionMatch> Search(string query)
+    {
+        query = query.Trim();
+        if (query.Length == 0)
+        {
+            return _actions.Values
+                .OrderBy(a => a.Label, StringComparer.OrdinalIgnoreCase)
+                .Select(a => new ActionMatch(a, 0, Array.Empty<int>()))
+                .ToList();
+        }
+
+        var matches = new List<ActionMatch>();
+        foreach (var action in _actions.Values)
+        {
+            var label = FuzzyMatch(query, action.Label);
+            if (label != null)
+            {
+                matches.Add(new ActionMatch(action, label.Value.Score, label.Value.Positions));
+                continue;
+            }
+            // Keymap names ("showDebug") match too, but rank below labels
+            var id = FuzzyMatch(query, action.Id);
+            if (id != null)
+            {
+                matches.Add(new ActionMatch(action, id.Value.Score - IdMatchPenalty, Array.Empty<int>()));
+            }
+        }
+        return matches
+            .OrderByDescending(m => m.Score)
+            .ThenBy(m => m.Action.Label, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Score <paramref name="text"/> against a query, with the index in the
+    /// text of each query character, or null if the text doesn't match.
+    /// </summary>
+    public static (int Score, int[] Positions)? FuzzyMatch(string query, string text)
+    {
+        var positions = new int[query.Length];
+        var score = 0;
+        var previous = -1;
+        var start = 0;
+        for (var q = 0; q < query.Length; q++)
+        {
+            // Carry on a run if possible, otherwise look further along
+            var index = q > 0 && start < text.Length && SameLetter(text[start], query[q])
+                ? start
+                : FindNext(text, query[q], start);
+            if (index < 0) return null;
+
+            if (index == previous + 1)
+            {
+                score += 5;
+            }
+            else if (previous >= 0)
+            {
+                // Penalise the gap, but not so much that long labels never match
+                score -= Math.Min(index - previous - 1, 3);
+            }
+            if (IsWordStart(text, index))
+            {
+                score += 10;
+            }
+            score += 1;
+            positions[q] = index;
+            previous = index;
+            start = index + 1;
+        }
+        return (score, positions);
+    }
+
+    // Prefer a word start for this character over an earlier mid-word one
+    private static int FindNext(string text, char c, int start)
+    {
+        var first = -1;
+        for (var i = start; i < text.Length; i++)
+        {
+            if (!SameLetter(text[i], c)) continue;
+            if (IsWordStart(text, i)) return i;
+            if (first < 0) first = i;
+        }
+        return first;
+    }
+
+    private static bool SameLetter(char a, char b) => char.ToLowerInvariant(a) == char.ToLowerInvariant(b);
+
+    // After a space or separator, or the upper case letter of a camelCase id
+    private static bool IsWordStart(string text, int index)
+    {
+        if (index == 0) return true;
+        var previous = text[index - 1];
+        return !char.IsLetterOrDigit(previous) ||
+            (char.IsUpper(text[index]) && char.IsLower(previous));
+    }
+
+    // ============================================================
+    // SOURCE: editor-interop.js formatKeyLabel()
+    // ============================================================
+    // 'ctrl+shift+z' -> 'Ctrl+Shift+Z'. A trailing '+' is the plus key
+    // itself ('ctrl++').
+    // ============================================================
+    public static string FormatKey(string key)
+    {
+        return string.Join(" ", key.Split(' ').Select(stroke =>
+        {
+            var parts = stroke.EndsWith('+')
+                ? stroke[..^1].Split('+').Append("+")
+                : stroke.Split('+');
+            return string.Join("+", parts.Where(p => p.Length > 0).Select(FormatKeyName));
+        }));
+    }
+
+    public static string FormatKeyName(string key)
+    {
+        return key switch
+        {
+            "ctrl" => "Ctrl",
+            "shift" => "Shift",
+            "alt" => "Alt",
+            "space" => "Space",
+            "escape" => "Esc",
+            "arrowup" => "↑",
+            "arrowdown" => "↓",
+            "arrowleft" => "←",
+            "arrowright" => "→",
+            _ => key.Length == 1 ? key.ToUpperInvariant() : char.ToUpperInvariant(key[0]) + key[1..]
+        };
+    }
+
+    public void Dispose()
+    {
+        _reference?.Dispose();
+    }
+}
@@ -15,6 +15,18 @@ namespace NodeRed.Editor.Services;
 /// </summary>
 public class CommsHub : Hub
 {
+    private const string TraceFlowsKey = "traceFlows";
+    private const string RuntimeGroup = "runtime";
+
+    private readonly ICommsService _comms;
+    private readonly TraceSubscriptions _traces;
+
+    public CommsHub(ICommsService comms, TraceSubscriptions traces)
+    {
+        _comms = comms;
+        _traces = traces;
+    }
+
     /// <summary>
     /// Subscribe to debug messages.
     /// </summary>
@@ -50,12 +62,90 @@ public class CommsHub : Hub
         await Groups.AddToGroupAsync(Context.ConnectionId, "notifications");
     }
 
+    /// <summary>
+    /// Join the editors sharing their presence, announcing this one.
+    /// </summary>
+    public async Task JoinPresence(PresenceState state)
+    {
+        await Groups.AddToGroupAsync(Context.ConnectionId, "presence");
+        await UpdatePresence(state);
+    }
+
+    /// <summary>
+    /// Pass an editor's cursor, tab, selection and tray to the others.
+    /// </summary>
+    public async Task UpdatePresence(PresenceState state)
+    {
+        await Clients.OthersInGroup("presence").SendAsync("presence", Context.ConnectionId, state);
+    }
+
+    /// <summary>
+    /// Trace the messages passing between nodes on these flows, replacing
+    /// the caller's earlier choice. An empty list stops tracing.
+    /// </summary>
+    public async Task SetTraceFlows(string[] flowIds)
+    {
+        var previous = GetTraceFlows();
+        var removed = previous.Except(flowIds).ToArray();
+        var added = flowIds.Except(previous).ToArray();
+        foreach (var flowId in removed)
+        {
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, $"trace:{flowId}");
+        }
+        foreach (var flowId in added)
+        {
+            await Groups.AddToGroupAsync(Context.ConnectionId, $"trace:{flowId}");
+        }
+        Context.Items[TraceFlowsKey] = flowIds;
+        await UpdateTracedFlowsAsync(removed, added);
+    }
+
+    /// <summary>
+    /// Called by the runtime to learn which flows are being traced, so it
+    /// only reports their sends. Returns them now, and "traceFlows" brings
+    /// the new list each time it changes.
+    /// </summary>
+    public async Task<string[]> SubscribeTraceFlows()
+    {
+        await Groups.AddToGroupAsync(Context.ConnectionId, RuntimeGroup);
+        return _traces.Flows;
+    }
+
+    /// <summary>
+    /// Called by the runtime with the messages its nodes have sent, for
+    /// the editors tracing their flows.
+    /// </summary>
+    public Task ReportSends(TracePayload[] sends)
+    {
+        return _comms.SendTraceAsync(sends);
+    }
+
     public override async Task OnConnectedAsync()
     {
         // Auto-subscribe to general updates
         await Groups.AddToGroupAsync(Context.ConnectionId, "general");
         await base.OnConnectedAsync();
     }
+
+    public override async Task OnDisconnectedAsync(Exception? exception)
+    {
+        await UpdateTracedFlowsAsync(GetTraceFlows(), Array.Empty<string>());
+        await Clients.Group("presence").SendAsync("presenceLeft", Context.ConnectionId);
+        await base.OnDisconnectedAsync(exception);
+    }
+
+    private string[] GetTraceFlows() =>
+        Context.Items.TryGetValue(TraceFlowsKey, out var value) && value is string[] ids
+            ? ids
+            : Array.Empty<string>();
+
+    private async Task UpdateTracedFlowsAsync(string[] removed, string[] added)
+    {
+        if (_traces.Update(removed, added))
+        {
+            await Clients.Group(RuntimeGroup).SendAsync("traceFlows", _traces.Flows);
+        }
+    }
 }
 
 /// <summary>
@@ -67,15 +157,30 @@ public interface ICommsService
     Task SendStatusUpdateAsync(string nodeId, StatusPayload status);
     Task SendNotificationAsync(NotificationPayload notification);
     Task SendFlowsDeployedAsync(string rev);
+
+    /// <summary>
+    /// Pass node send events to the editors tracing their flows.
+    /// </summary>
+    Task SendTraceAsync(IReadOnlyList<TracePayload> sends);
+
+    /// <summary>
+    /// Raised for every notification broadcast to the notifications group,
+    /// so editor sessions in this process can show it.
+    /// </summary>
+    event Action<NotificationPayload>? NotificationSent;
 }
 
 public class CommsService : ICommsService
 {
     private readonly IHubContext<CommsHub> _hubContext;
+    private readonly TraceSubscriptions _traces;
+
+    public event Action<NotificationPayload>? NotificationSent;
 
-    public CommsService(IHubContext<CommsHub> hubContext)
+    public CommsService(IHubContext<CommsHub> hubContext, TraceSubscriptions traces)
     {
         _hubContext = hubContext;
+        _traces = traces;
     }
 
     public async Task SendDebugMessageAsync(DebugPayload message)
@@ -93,12 +198,130 @@ public class CommsService : ICommsService
     {
         await _hubContext.Clients.Group("notifications").SendAsync("notification", notification);
         await _hubContext.Clients.Group("general").SendAsync("notification", notification);
+        NotificationSent?.Invoke(notification);
     }
 
     public async Task SendFlowsDeployedAsync(string rev)
     {
         await _hubContext.Clients.All.SendAsync("deployed", new { rev });
     }
+
+    // One message per flow, holding the sends that fit within the
+    // flow's rate cap (see TraceSubscriptions.Admit)
+    public async Task SendTraceAsync(IReadOnlyList<TracePayload> sends)
+    {
+        foreach (var flow in sends.GroupBy(s => s.FlowId))
+        {
+            var admitted = _traces.Admit(flow.Key, flow);
+            if (admitted.Count == 0) continue;
+            await _hubContext.Clients.Group($"trace:{flow.Key}").SendAsync("trace", admitted);
+        }
+    }
+}
+
+/// <summary>
+/// The flows editors are tracing, counted across their connections, so
+/// the runtime only reports sends someone is watching. Each traced flow
+/// also has its own rate cap.
+/// </summary>
+public class TraceSubscriptions
+{
+    /// <summary>
+    /// Most sends passed on per flow each second. A busy flow sends far
+    /// more than anyone can watch; the rest are dropped here, before they
+    /// reach the editors' sockets.
+    /// </summary>
+    public const int MaxSendsPerSecond = 30;
+
+    private readonly Dictionary<string, int> _connections = new();
+    // Per traced flow: sends it may still pass on, refilled over time
+    private readonly Dictionary<string, (double Tokens, DateTimeOffset Refilled)> _buckets = new();
+    private readonly TimeProvider _time;
+    private readonly object _lock = new();
+
+    public TraceSubscriptions(TimeProvider? time = null)
+    {
+        _time = time ?? TimeProvider.System;
+    }
+
+    /// <summary>
+    /// Every flow at least one editor is tracing.
+    /// </summary>
+    public string[] Flows
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _connections.Keys.ToArray();
+            }
+        }
+    }
+
+    public bool IsTraced(string flowId)
+    {
+        lock (_lock)
+        {
+            return _connections.ContainsKey(flowId);
+        }
+    }
+
+    /// <summary>
+    /// Count one connection starting and stopping tracing flows. Returns
+    /// true if that changed which flows are traced.
+    /// </summary>
+    public bool Update(IEnumerable<string> removed, IEnumerable<string> added)
+    {
+        lock (_lock)
+        {
+            var changed = false;
+            foreach (var flowId in removed)
+            {
+                if (!_connections.TryGetValue(flowId, out var count)) continue;
+                if (count > 1)
+                {
+                    _connections[flowId] = count - 1;
+                }
+                else
+                {
+                    _connections.Remove(flowId);
+                    _buckets.Remove(flowId);
+                    changed = true;
+                }
+            }
+            foreach (var flowId in added)
+            {
+                var count = _connections.GetValueOrDefault(flowId) + 1;
+                _connections[flowId] = count;
+                changed |= count == 1;
+            }
+            return changed;
+        }
+    }
+
+    /// <summary>
+    /// The sends of a flow that fit within its share of
+    /// <see cref="MaxSendsPerSecond"/>, oldest first. None if no editor
+    /// is tracing the flow.
+    /// </summary>
+    public List<TracePayload> Admit(string flowId, IEnumerable<TracePayload> sends)
+    {
+        lock (_lock)
+        {
+            if (!_connections.ContainsKey(flowId)) return new();
+
+            var now = _time.GetUtcNow();
+            var (tokens, refilled) = _buckets.TryGetValue(flowId, out var bucket)
+                ? bucket
+                : (MaxSendsPerSecond, now);
+            tokens = Math.Min(MaxSendsPerSecond,
+                tokens + (now - refilled).TotalSeconds * MaxSendsPerSecond);
+
+            var admitted = sends.Take((int)tokens).ToList();
+            _buckets[flowId] = (tokens - admitted.Count, now);
+            return admitted;
+        }
+    }
 }
 
 /// <summary>
@@ -127,6 +350,41 @@ public class StatusPayload
     public string? Shape { get; set; } // "ring", "dot"
 }
 
+/// <summary>
+/// A message sent from one node to another, for trace mode. Only the
+/// route is reported, not the message.
+/// </summary>
+public class TracePayload
+{
+    public string FlowId { get; set; } = "";
+    public string SourceId { get; set; } = "";
+    public int SourcePort { get; set; }
+    public string DestinationId { get; set; } = "";
+    public long Timestamp { get; set; } = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+}
+
+/// <summary>
+/// What one editor is looking at and working on, shared with the others.
+/// </summary>
+public class PresenceState
+{
+    public string Name { get; set; } = "";
+    public string Color { get; set; } = "";
+    /// <summary>The tab on show.</summary>
+    public string? FlowId { get; set; }
+    /// <summary>Pointer position in canvas coordinates, null when off the canvas.</summary>
+    public PresencePoint? Cursor { get; set; }
+    public List<string> Selection { get; set; } = new();
+    /// <summary>The node open in the tray.</summary>
+    public string? Editing { get; set; }
+}
+
+public class PresencePoint
+{
+    public double X { get; set; }
+    public double Y { get; set; }
+}
+
 /// <summary>
 /// Notification payload.
 /// </summary>
@@ -137,6 +395,7 @@ public class NotificationPayload
     public int Timeout { get; set; } = 5000;
     public string? Id { get; set; }
     public bool Fixed { get; set; }
+    public bool Modal { get; set; }
     public List<NotificationButton>? Buttons { get; set; }
 }
 
@@ -147,6 +406,7 @@ public class NotificationButton
 {
     public string Text { get; set; } = "";
     public string? Class { get; set; }
+    public string? Value { get; set; }  // returned when clicked; defaults to Text
 }
 
 /// <summary>
@@ -159,26 +419,58 @@ public class DebugMessageService : IAsyncDisposable
     private const int MaxMessages = 1000;
 
     public event EventHandler<DebugPayload>? MessageReceived;
+    public event EventHandler? MessagesReceived;
     public event EventHandler? MessagesCleared;
 
     public IReadOnlyList<DebugPayload> Messages => _messages;
 
+    /// <summary>
+    /// Messages the comms client discarded because they arrived faster
+    /// than they could be shown, since the list was last cleared.
+    /// </summary>
+    public int Dropped { get; private set; }
+
     public void AddMessage(DebugPayload message)
     {
         _messages.Insert(0, message);
+        TrimMessages();
+        MessageReceived?.Invoke(this, message);
+    }
 
-        // Limit message count
-        while (_messages.Count > MaxMessages)
+    /// <summary>
+    /// Add a batch of messages, oldest first, raising a single
+    /// <see cref="MessagesReceived"/> for the lot.
+    /// </summary>
+    public void AddMessages(IReadOnlyList<DebugPayload> messages, int dropped)
+    {
+        if (messages.Count == 0 && dropped == 0)
         {
-            _messages.RemoveAt(_messages.Count - 1);
+            return;
         }
 
-        MessageReceived?.Invoke(this, message);
+        foreach (var message in messages)
+        {
+            _messages.Insert(0, message);
+        }
+        TrimMessages();
+        Dropped += dropped;
+
+        MessagesReceived?.Invoke(this, EventArgs.Empty);
+    }
+
+    private void TrimMessages()
+    {
+        // Limit message count
+        if (_messages.Count > MaxMessages)
+        {
+            _messages.RemoveRange(MaxMessages, _messages.Count - MaxMessages);
+        }
     }
 
     public void Clear()
     {
         _messages.Clear();
+        Dropped = 0;
         MessagesCleared?.Invoke(this, EventArgs.Empty);
     }
 
@@ -0,0 +1,100 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/comms.js
+// ============================================================
+// Receives the debug and status streams for one editor session. The
+// browser holds the connection to CommsHub itself (the COMMS CLIENT
+// section of editor-interop.js) and passes what arrives here in
+// throttled batches, so a flow that logs thousands of messages a
+// second costs the circuit a few interop calls rather than one each.
+// ============================================================
+
+using Microsoft.JSInterop;
+
+namespace NodeRed.Editor.Services;
+
+public enum CommsConnectionState
+{
+    Connecting,
+    Connected,
+    Reconnecting
+}
+
+public class CommsClient : IDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly EditorState _state;
+    private readonly DebugMessageService _debug;
+    private DotNetObjectReference<CommsClient>? _reference;
+
+    public CommsClient(IJSRuntime js, EditorState state, DebugMessageService debug)
+    {
+        _js = js;
+        _state = state;
+        _debug = debug;
+    }
+
+    public CommsConnectionState ConnectionState { get; private set; } = CommsConnectionState.Connecting;
+
+    public event Action? ConnectionStateChanged;
+
+    /// <summary>
+    /// Open the browser's connection to the comms hub. Safe to call
+    /// again; the existing connection is kept.
+    /// </summary>
+    public async Task StartAsync()
+    {
+        _reference ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.initComms", _reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    [JSInvokable]
+    public void OnCommsBatch(List<DebugPayload> messages, int dropped, Dictionary<string, StatusPayload> statuses)
+    {
+        _debug.AddMessages(messages, dropped);
+
+        var changed = false;
+        foreach (var (nodeId, status) in statuses)
+        {
+            var node = _state.Nodes.FirstOrDefault(n => n.Id == nodeId);
+            if (node == null)
+            {
+                continue;
+            }
+            // An empty status clears it, as node.status({}) does
+            var text = string.IsNullOrEmpty(status.Text) ? null : status.Text;
+            if (node.StatusText != text || node.StatusFill != status.Fill)
+            {
+                node.StatusText = text;
+                node.StatusFill = status.Fill;
+                changed = true;
+            }
+        }
+        if (changed)
+        {
+            _state.NotifyStateChanged();
+        }
+    }
+
+    [JSInvokable]
+    public void OnCommsStateChanged(string state)
+    {
+        ConnectionState = state switch
+        {
+            "connected" => CommsConnectionState.Connected,
+            "reconnecting" => CommsConnectionState.Reconnecting,
+            _ => CommsConnectionState.Connecting
+        };
+        ConnectionStateChanged?.Invoke();
+    }
+
+    public void Dispose()
+    {
+        _reference?.Dispose();
+    }
+}
@@ -0,0 +1,247 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/nodes.js
+//         packages/node_modules/@node-red/editor-client/src/js/ui/diff.js
+// ============================================================
+// Local drafts of undeployed flows. The editor state lives in the
+// Blazor circuit, so a browser crash or a dropped circuit would lose
+// every change since the last deploy; a snapshot is kept in the
+// browser's localStorage instead (nodeRedEditor.saveDraft in
+// editor-interop.js) and offered back on the next load.
+// ============================================================
+
+using System.Text.Json;
+using Microsoft.JSInterop;
+
+namespace NodeRed.Editor.Services;
+
+/// <summary>
+/// A snapshot of undeployed flows.
+/// </summary>
+public class FlowDraft
+{
+    /// <summary>Revision of the deployed flows the draft was edited from.</summary>
+    public string? Rev { get; set; }
+    public DateTime SavedAt { get; set; }
+    /// <summary>The editor tab that saved the draft.</summary>
+    public string TabId { get; set; } = "";
+    public List<Dictionary<string, object>> Flows { get; set; } = new();
+}
+
+public enum DraftSaveResult
+{
+    Saved,
+    /// <summary>Browser storage is full. Other drafts are only removed when the user agrees.</summary>
+    QuotaExceeded,
+    /// <summary>No storage (private browsing, storage disabled) or no JS interop.</summary>
+    Unavailable
+}
+
+/// <summary>
+/// Saves, loads and watches the local draft of a workspace.
+/// </summary>
+public class DraftService : IDisposable
+{
+    private readonly IJSRuntime _js;
+    private DotNetObjectReference<DraftService>? _reference;
+
+    /// <summary>
+    /// Raised when another browser tab saves or clears the draft being
+    /// watched. The argument is the other tab's draft, or null once it
+    /// has deployed.
+    /// </summary>
+    public event Action<FlowDraft?>? DraftChangedElsewhere;
+
+    public DraftService(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    /// <summary>
+    /// Identifies this editor tab in the drafts it saves.
+    /// </summary>
+    public string TabId { get; } = Guid.NewGuid().ToString("N");
+
+    public async Task<FlowDraft?> LoadAsync(string workspaceId)
+    {
+        try
+        {
+            return await _js.InvokeAsync<FlowDraft?>("nodeRedEditor.loadDraft", workspaceId);
+        }
+        catch (Exception ex) when (ex is JSException or JsonException or JSDisconnectedException)
+        {
+            // An unreadable draft is as good as none
+            return null;
+        }
+    }
+
+    public async Task<DraftSaveResult> SaveAsync(string workspaceId, FlowDraft draft)
+    {
+        try
+        {
+            var result = await _js.InvokeAsync<string>("nodeRedEditor.saveDraft", workspaceId, draft);
+            return result switch
+            {
+                "saved" => DraftSaveResult.Saved,
+                "quota" => DraftSaveResult.QuotaExceeded,
+                _ => DraftSaveResult.Unavailable
+            };
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+            return DraftSaveResult.Unavailable;
+        }
+    }
+
+    public async Task ClearAsync(string workspaceId)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.clearDraft", workspaceId);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    /// <summary>
+    /// Ids of other workspaces whose drafts were saved longer ago than
+    /// <paramref name="maxAge"/> or can't be read, candidates for making
+    /// room when storage is full.
+    /// </summary>
+    public async Task<List<string>> FindStaleAsync(string workspaceId, TimeSpan maxAge)
+    {
+        try
+        {
+            return await _js.InvokeAsync<List<string>>("nodeRedEditor.findStaleDrafts",
+                workspaceId, maxAge.TotalMilliseconds);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+            return new();
+        }
+    }
+
+    public async Task RemoveAsync(IEnumerable<string> workspaceIds)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.removeDrafts", workspaceIds);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    /// <summary>
+    /// Start raising <see cref="DraftChangedElsewhere"/> for the workspace's draft.
+    /// </summary>
+    public async Task WatchAsync(string workspaceId)
+    {
+        _reference ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.watchDraft", workspaceId, TabId, _reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    [JSInvokable]
+    public void OnDraftChanged(FlowDraft? draft)
+    {
+        if (draft == null || draft.TabId != TabId)
+        {
+            DraftChangedElsewhere?.Invoke(draft);
+        }
+    }
+
+    public void Dispose()
+    {
+        _reference?.Dispose();
+    }
+}
+
+public enum DraftChangeKind
+{
+    Added,
+    Deleted,
+    Changed
+}
+
+/// <summary>
+/// A tab or node that differs between the deployed flows and a draft.
+/// </summary>
+public record DraftChange(DraftChangeKind Kind, string Id, string Type, string Label, string? FlowLabel);
+
+/// <summary>
+/// Compares two complete node sets, the way diff.js compares the
+/// deployed flows with the editor's.
+/// </summary>
+public static class DraftDiff
+{
+    public static List<DraftChange> Compare(
+        List<Dictionary<string, object>> deployed,
+        List<Dictionary<string, object>> draft)
+    {
+        var before = ById(deployed);
+        var after = ById(draft);
+        var labels = before.Values.Concat(after.Values)
+            .Where(n => GetString(n, "type") == "tab")
+            .GroupBy(GetId)
+            .ToDictionary(g => g.Key, g => GetString(g.Last(), "label"));
+
+        var changes = new List<DraftChange>();
+        foreach (var (id, node) in after)
+        {
+            if (!before.TryGetValue(id, out var old))
+            {
+                changes.Add(Describe(DraftChangeKind.Added, node, labels));
+            }
+            else if (!JsonEquals(old, node))
+            {
+                changes.Add(Describe(DraftChangeKind.Changed, node, labels));
+            }
+        }
+        foreach (var (id, node) in before)
+        {
+            if (!after.ContainsKey(id))
+            {
+                changes.Add(Describe(DraftChangeKind.Deleted, node, labels));
+            }
+        }
+
+        // Tabs first, then by flow, as the diff dialog lists them
+        return changes
+            .OrderBy(c => c.Type == "tab" ? 0 : 1)
+            .ThenBy(c => c.FlowLabel)
+            .ThenBy(c => c.Label)
+            .ToList();
+    }
+
+    private static DraftChange Describe(DraftChangeKind kind, Dictionary<string, object> node,
+        Dictionary<string, string> tabLabels)
+    {
+        var type = GetString(node, "type");
+        var label = type == "tab" ? GetString(node, "label") : GetString(node, "name");
+        tabLabels.TryGetValue(GetString(node, "z"), out var flowLabel);
+        return new DraftChange(kind, GetId(node), type, string.IsNullOrEmpty(label) ? type : label, flowLabel);
+    }
+
+    private static string GetId(Dictionary<string, object> node) => GetString(node, "id");
+
+    private static Dictionary<string, Dictionary<string, object>> ById(List<Dictionary<string, object>> nodes) =>
+        nodes.GroupBy(GetId).ToDictionary(g => g.Key, g => g.Last());
+
+    private static string GetString(Dictionary<string, object> node, string key) =>
+        node.GetValueOrDefault(key)?.ToString() ?? "";
+
+    // Property values may be JsonElements or CLR values, so compare
+    // their serialised form, ignoring property order
+    private static bool JsonEquals(Dictionary<string, object> a, Dictionary<string, object> b)
+    {
+        static string Normalise(Dictionary<string, object> node) =>
+            JsonSerializer.Serialize(new SortedDictionary<string, object>(node, StringComparer.Ordinal));
+        return Normalise(a) == Normalise(b);
+    }
+}
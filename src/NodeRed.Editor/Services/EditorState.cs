@@ -5,7 +5,10 @@
 // Editor state service managing all UI state.
 // ============================================================
 
+using System.Globalization;
 using System.Net.Http.Json;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 
 namespace NodeRed.Editor.Services;
 
@@ -32,6 +35,29 @@ public class EditorState
     /// </summary>
     public void NotifyStateChanged() => OnStateChanged?.Invoke();
 
+    // Event for showing a node in the workspace (view.js reveal)
+    public event Action<string>? OnRevealNode;
+
+    /// <summary>
+    /// Switch to a node's flow, select it and scroll it into view.
+    /// </summary>
+    public void RevealNode(string nodeId) => OnRevealNode?.Invoke(nodeId);
+
+    // Event for edits to nodes, with the ids of the nodes touched
+    public event Action<IReadOnlyCollection<string>>? OnNodesEdited;
+
+    /// <summary>
+    /// Report an edit to the given nodes. Recorded history events are
+    /// reported by RecordHistory; call this for other edits.
+    /// </summary>
+    public void NotifyNodesEdited(IReadOnlyCollection<string> nodeIds)
+    {
+        if (nodeIds.Count > 0)
+        {
+            OnNodesEdited?.Invoke(nodeIds);
+        }
+    }
+
     // Loading state
     public bool IsLoading { get; set; }
     public string LoadingMessage { get; set; } = "";
@@ -42,6 +68,11 @@ public class EditorState
     public bool IsDirty { get; set; }
     public string? FlowsRev { get; set; }
 
+    /// <summary>
+    /// Identifies the Node-RED instance being edited; local drafts are kept per workspace.
+    /// </summary>
+    public string WorkspaceId => _httpClient?.BaseAddress?.ToString() ?? "default";
+
     // UI state
     public bool PaletteOpen { get; set; } = true;
     public bool SidebarOpen { get; set; } = true;
@@ -52,6 +83,15 @@ public class EditorState
     // Version
     public string Version { get; set; } = "1.0.0";
 
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/keyboard.js
+    // ============================================================
+    // Keymap overrides from the runtime settings (editorTheme.keymap),
+    // keyed by action name. Applied on top of the default keymap and
+    // below the user's own bindings.
+    // ============================================================
+    public Dictionary<string, KeyBinding>? ThemeKeymap { get; set; }
+
     // Canvas state
     // ============================================================
     // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
@@ -67,10 +107,15 @@ public class EditorState
     public int CanvasWidth { get; set; } = 8000;
     public int CanvasHeight { get; set; } = 8000;
     public double Scale { get; set; } = 1.0;
+    // Grid size and snapping are user settings, persisted in local storage
     public int GridSize { get; set; } = 20;
-    public bool SnapGrid { get; set; } = false;
+    public bool SnapGrid { get; set; } = true;
+    public const int MinGridSize = 5;
+    public const int MaxGridSize = 100;
     public bool ShowGrid { get; set; } = true;
     public double LineCurveScale { get; set; } = 0.75;
+    // Wire routing style, persisted per user in local storage
+    public WireStyle WireStyle { get; set; } = WireStyle.Bezier;
     
     // ============================================================
     // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
@@ -92,11 +137,6 @@ public class EditorState
     public List<PaletteCategory> PaletteCategories { get; set; } = new();
     public PaletteNode? DraggedNode { get; set; }
 
-    // Context menu
-    public bool ContextMenuOpen { get; set; }
-    public Point ContextMenuPosition { get; set; } = new(0, 0);
-    public List<ContextMenuItem> ContextMenuItems { get; set; } = new();
-
     // Wire drawing state
     public bool IsDrawingWire { get; set; }
     public string? WireSourceNodeId { get; set; }
@@ -112,9 +152,8 @@ public class EditorState
     public List<FlowNode> ClipboardNodes { get; set; } = new();
     public List<FlowWire> ClipboardWires { get; set; } = new();
 
-    // Undo/Redo stacks
-    public Stack<EditorAction> UndoStack { get; set; } = new();
-    public Stack<EditorAction> RedoStack { get; set; } = new();
+    // Undo/Redo (see Services/History.cs)
+    public History History { get; } = new();
 
     // Flows
     public string ActiveFlowId { get; set; } = "";
@@ -123,8 +162,9 @@ public class EditorState
     public List<FlowWire> Wires { get; set; } = new();
     public List<ConfigNode> ConfigNodes { get; set; } = new();
 
-    // Debug
-    public List<DebugMessage> DebugMessages { get; set; } = new();
+    // Flows whose messages are animated on the canvas (trace mode);
+    // per editor, not saved with the flows
+    public HashSet<string> TracedFlowIds { get; } = new();
 
     // ============================================================
     // SECTION 17: GROUP STATE
@@ -150,6 +190,32 @@ public class EditorState
     // Selection
     public IEnumerable<FlowNode> SelectedNodes => Nodes.Where(n => n.Selected);
 
+    /// <summary>
+    /// The given nodes plus every node reachable from them by following
+    /// wires upstream (towards sources), downstream, or both
+    /// (nodes.js getAllUpstreamNodes / getAllDownstreamNodes).
+    /// </summary>
+    public HashSet<string> GetLinkedNodeIds(IEnumerable<string> nodeIds, bool upstream, bool downstream)
+    {
+        var linked = new HashSet<string>(nodeIds);
+        var pending = new Queue<string>(linked);
+        while (pending.Count > 0)
+        {
+            var id = pending.Dequeue();
+            foreach (var wire in Wires)
+            {
+                var next = downstream && wire.SourceId == id ? wire.TargetId
+                    : upstream && wire.TargetId == id ? wire.SourceId
+                    : null;
+                if (next != null && linked.Add(next))
+                {
+                    pending.Enqueue(next);
+                }
+            }
+        }
+        return linked;
+    }
+
     public void MarkDirty()
     {
         IsDirty = true;
@@ -160,6 +226,30 @@ public class EditorState
         IsDirty = false;
     }
 
+    /// <summary>
+    /// Switch the wire routing style and re-route every wire.
+    /// </summary>
+    public void SetWireStyle(WireStyle style)
+    {
+        WireStyle = style;
+        foreach (var wire in Wires)
+        {
+            wire.Path = CalculateWirePath(wire);
+        }
+        NotifyStateChanged();
+    }
+
+    /// <summary>
+    /// Change the grid size and whether dragged and dropped nodes snap to it.
+    /// The size is clamped to MinGridSize..MaxGridSize.
+    /// </summary>
+    public void SetGridSettings(int gridSize, bool snapGrid)
+    {
+        GridSize = Math.Clamp(gridSize, MinGridSize, MaxGridSize);
+        SnapGrid = snapGrid;
+        NotifyStateChanged();
+    }
+
     public async Task LoadSettingsAsync()
     {
         if (_httpClient is null) return;
@@ -171,6 +261,13 @@ public class EditorState
             {
                 Version = version?.ToString() ?? "1.0.0";
             }
+            if (settings?.TryGetValue("editorTheme", out var editorTheme) == true &&
+                editorTheme is JsonElement theme &&
+                theme.ValueKind == JsonValueKind.Object &&
+                theme.TryGetProperty("keymap", out var keymap))
+            {
+                ThemeKeymap = ParseKeymap(keymap);
+            }
         }
         catch
         {
@@ -226,30 +323,64 @@ public class EditorState
         }
     }
 
-    public async Task DeployFlowsAsync()
+    /// <summary>
+    /// Deploy every flow. "nodes" only restarts the nodes that changed,
+    /// "flows" the flows that contain them; "full" restarts everything.
+    /// </summary>
+    /// <exception cref="InvalidOperationException">The editor has no runtime to deploy to.</exception>
+    public async Task DeployFlowsAsync(string deploymentType = "full")
     {
-        if (_httpClient is null) return;
+        if (_httpClient is null)
+        {
+            throw new InvalidOperationException("Not connected to a Node-RED runtime");
+        }
 
+        var flowsToExport = ExportFlows();
+        var request = new HttpRequestMessage(HttpMethod.Post, "flows")
+        {
+            Content = JsonContent.Create(new { flows = flowsToExport })
+        };
+        request.Headers.Add("Node-RED-API-Version", "v2");
+        request.Headers.Add("Node-RED-Deployment-Type", deploymentType);
+
+        var response = await _httpClient.SendAsync(request);
+        if (!response.IsSuccessStatusCode)
+        {
+            throw new HttpRequestException(await GetErrorMessageAsync(response), null, response.StatusCode);
+        }
+
+        // v2 deploys answer with the new revision: { "rev": "..." }
         try
         {
-            var flowsToExport = ExportFlows();
-            var request = new HttpRequestMessage(HttpMethod.Post, "flows")
-            {
-                Content = JsonContent.Create(new { flows = flowsToExport })
-            };
-            request.Headers.Add("Node-RED-API-Version", "v2");
-            request.Headers.Add("Node-RED-Deployment-Type", "full");
+            var result = await response.Content.ReadFromJsonAsync<FlowsResponse>();
+            FlowsRev = result?.Rev ?? FlowsRev;
+        }
+        catch (JsonException)
+        {
+        }
+        MarkClean();
+    }
 
-            var response = await _httpClient.SendAsync(request);
-            if (response.IsSuccessStatusCode)
+    // Admin API errors are { "code": "...", "message": "..." }
+    private static async Task<string> GetErrorMessageAsync(HttpResponseMessage response)
+    {
+        var body = await response.Content.ReadAsStringAsync();
+        try
+        {
+            using var document = JsonDocument.Parse(body);
+            if (document.RootElement.ValueKind == JsonValueKind.Object &&
+                document.RootElement.TryGetProperty("message", out var message) &&
+                message.ValueKind == JsonValueKind.String)
             {
-                MarkClean();
+                return message.GetString()!;
             }
         }
-        catch
+        catch (JsonException)
         {
-            // Handle error
         }
+        return string.IsNullOrWhiteSpace(body)
+            ? $"{(int)response.StatusCode} {response.ReasonPhrase}"
+            : body;
     }
 
     public void OpenNodeEditor(FlowNode node)
@@ -438,23 +569,21 @@ public class EditorState
                     Nodes.Add(node);
 
                     // Process wires
-                    if (flowData.TryGetValue("wires", out var wiresObj) && wiresObj is List<object> wiresList)
+                    if (flowData.TryGetValue("wires", out var wiresObj))
                     {
+                        var wiresList = GetWireTargets(wiresObj);
                         for (int outputPort = 0; outputPort < wiresList.Count; outputPort++)
                         {
-                            if (wiresList[outputPort] is List<object> targetsList)
+                            foreach (var targetId in wiresList[outputPort])
                             {
-                                foreach (var targetId in targetsList)
+                                Wires.Add(new FlowWire
                                 {
-                                    Wires.Add(new FlowWire
-                                    {
-                                        SourceId = node.Id,
-                                        SourcePort = outputPort,
-                                        TargetId = targetId?.ToString() ?? "",
-                                        TargetPort = 0,
-                                        FlowId = node.FlowId
-                                    });
-                                }
+                                    SourceId = node.Id,
+                                    SourcePort = outputPort,
+                                    TargetId = targetId,
+                                    TargetPort = 0,
+                                    FlowId = node.FlowId
+                                });
                             }
                         }
                     }
@@ -475,6 +604,176 @@ public class EditorState
         }
     }
 
+    // A node's wires array, as built in code (List<object>) or read
+    // from JSON (a JsonElement array of arrays)
+    private static List<List<string>> GetWireTargets(object? wires)
+    {
+        if (wires is JsonElement element)
+        {
+            if (element.ValueKind != JsonValueKind.Array) return new();
+            return element.EnumerateArray()
+                .Select(port => port.ValueKind == JsonValueKind.Array
+                    ? port.EnumerateArray().Select(t => t.ToString()).ToList()
+                    : new List<string>())
+                .ToList();
+        }
+        if (wires is List<object> list)
+        {
+            return list
+                .Select(port => port is List<object> targets
+                    ? targets.Select(t => t?.ToString() ?? "").ToList()
+                    : new List<string>())
+                .ToList();
+        }
+        return new();
+    }
+
+    // Draft values are CLR values, or JsonElements once read back from
+    // the browser
+    private static Dictionary<string, string> ToDictionary(object? value) =>
+        value == null
+            ? new()
+            : JsonSerializer.Deserialize<Dictionary<string, JsonElement>>(JsonSerializer.Serialize(value))?
+                  .ToDictionary(p => p.Key, p => p.Value.ValueKind == JsonValueKind.Number
+                      ? p.Value.GetDouble().ToString(CultureInfo.InvariantCulture)
+                      : p.Value.ToString())
+              ?? new();
+
+    private static List<string> ToStrings(object? value) =>
+        value == null
+            ? new()
+            : JsonSerializer.Deserialize<List<string>>(JsonSerializer.Serialize(value)) ?? new();
+
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/nodes.js
+    // ============================================================
+    // createCompleteNodeSet() - every tab and node with its
+    // properties, as kept in local drafts (see DraftService).
+    // ============================================================
+    /// <summary>
+    /// Serialise all flows, config nodes, groups and nodes, node
+    /// properties included.
+    /// </summary>
+    public List<Dictionary<string, object>> ExportCompleteFlows()
+    {
+        var result = Flows.Select(flow => new Dictionary<string, object>
+        {
+            ["id"] = flow.Id,
+            ["type"] = "tab",
+            ["label"] = flow.Label,
+            ["disabled"] = flow.Disabled
+        }).ToList();
+        result.AddRange(ConfigNodes.Select(config => new Dictionary<string, object>
+        {
+            ["id"] = config.Id,
+            ["type"] = config.Type,
+            ["name"] = config.Name ?? ""
+        }));
+        result.AddRange(GroupManager.Groups.Select(SerializeGroup));
+        result.AddRange(SerializeNodes(Nodes, _ => true));
+        return result;
+    }
+
+    // A group as flow JSON, as group.js exports it
+    private static Dictionary<string, object> SerializeGroup(NodeGroup group)
+    {
+        var style = new Dictionary<string, object>
+        {
+            ["stroke"] = group.Stroke ?? "none",
+            ["stroke-opacity"] = group.StrokeOpacity,
+            ["fill"] = group.Fill ?? "none",
+            ["fill-opacity"] = group.FillOpacity,
+            ["label-position"] = group.LabelPosition
+        };
+        if (group.Label != null) style["label"] = group.Label;
+
+        var data = new Dictionary<string, object>
+        {
+            ["id"] = group.Id,
+            ["type"] = "group",
+            ["z"] = group.FlowId,
+            ["name"] = group.Name ?? "",
+            ["style"] = style,
+            ["nodes"] = group.Nodes.Concat(group.ChildGroups).ToList(),
+            ["x"] = group.X,
+            ["y"] = group.Y,
+            ["w"] = group.Width,
+            ["h"] = group.Height
+        };
+        if (group.ParentGroupId != null) data["g"] = group.ParentGroupId;
+        return data;
+    }
+
+    /// <summary>
+    /// Replace the editor's flows with a complete node set, e.g. a restored
+    /// draft. The result counts as undeployed and history starts afresh.
+    /// </summary>
+    public void RestoreFlows(List<Dictionary<string, object>> flows)
+    {
+        // Groups, and config nodes (which have no position), are restored
+        // here; ImportFlows takes the tabs and nodes
+        var groups = flows.Where(f => f.GetValueOrDefault("type")?.ToString() == "group").ToList();
+        var configs = flows
+            .Where(f => f.GetValueOrDefault("type")?.ToString() != "tab" && !f.ContainsKey("x"))
+            .ToList();
+        ImportFlows(flows.Except(groups).Except(configs).ToList());
+
+        foreach (var config in configs)
+        {
+            ConfigNodes.Add(new ConfigNode
+            {
+                Id = config.GetValueOrDefault("id")?.ToString() ?? "",
+                Type = config.GetValueOrDefault("type")?.ToString() ?? "",
+                Name = config.GetValueOrDefault("name")?.ToString() is { Length: > 0 } name ? name : null
+            });
+        }
+
+        GroupManager.Clear();
+        var groupIds = groups.Select(g => g.GetValueOrDefault("id")?.ToString() ?? "").ToHashSet();
+        foreach (var data in groups)
+        {
+            GroupManager.AddGroup(ParseGroup(data, groupIds));
+        }
+
+        if (!Flows.Any(f => f.Id == ActiveFlowId))
+        {
+            ActiveFlowId = Flows.FirstOrDefault()?.Id ?? "";
+        }
+        History.Clear();
+        MarkDirty();
+        NotifyStateChanged();
+    }
+
+    // A group from flow JSON; members that are themselves groups (listed
+    // in groupIds) become child groups
+    private static NodeGroup ParseGroup(Dictionary<string, object> data, ISet<string> groupIds)
+    {
+        var style = ToDictionary(data.GetValueOrDefault("style"));
+        var members = ToStrings(data.GetValueOrDefault("nodes"));
+        var group = new NodeGroup
+        {
+            Id = data.GetValueOrDefault("id")?.ToString() ?? "",
+            FlowId = data.GetValueOrDefault("z")?.ToString() ?? "",
+            Name = data.GetValueOrDefault("name")?.ToString() is { Length: > 0 } name ? name : null,
+            X = GetInt(data, "x", 0),
+            Y = GetInt(data, "y", 0),
+            Width = GetInt(data, "w", 0),
+            Height = GetInt(data, "h", 0),
+            Nodes = members.Where(id => !groupIds.Contains(id)).ToList(),
+            ChildGroups = members.Where(groupIds.Contains).ToList(),
+            ParentGroupId = data.GetValueOrDefault("g")?.ToString()
+        };
+        if (style.TryGetValue("stroke", out var stroke)) group.Stroke = stroke == "none" ? null : stroke;
+        if (style.TryGetValue("fill", out var fill)) group.Fill = fill == "none" ? null : fill;
+        if (double.TryParse(style.GetValueOrDefault("stroke-opacity"), NumberStyles.Float,
+                CultureInfo.InvariantCulture, out var strokeOpacity)) group.StrokeOpacity = strokeOpacity;
+        if (double.TryParse(style.GetValueOrDefault("fill-opacity"), NumberStyles.Float,
+                CultureInfo.InvariantCulture, out var fillOpacity)) group.FillOpacity = fillOpacity;
+        if (style.TryGetValue("label", out var label)) group.Label = label;
+        if (style.TryGetValue("label-position", out var labelPosition)) group.LabelPosition = labelPosition;
+        return group;
+    }
+
     private List<Dictionary<string, object>> ExportFlows()
     {
         var result = new List<Dictionary<string, object>>();
@@ -522,6 +821,702 @@ public class EditorState
         return result;
     }
 
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/clipboard.js
+    // ============================================================
+    // copySelection() - serialise the selected nodes, keeping only
+    // the wires between them.
+    // ============================================================
+    /// <summary>
+    /// Serialise nodes to Node-RED flow JSON for the clipboard.
+    /// </summary>
+    public string ExportNodesJson(IEnumerable<FlowNode> nodes)
+    {
+        var nodeList = nodes.ToList();
+        var ids = nodeList.Select(n => n.Id).ToHashSet();
+        return JsonSerializer.Serialize(SerializeNodes(nodeList, w => ids.Contains(w.TargetId)));
+    }
+
+    // Nodes as flow JSON objects, keeping the wires includeWire accepts
+    private List<Dictionary<string, object>> SerializeNodes(IEnumerable<FlowNode> nodes, Func<FlowWire, bool> includeWire)
+    {
+        var result = new List<Dictionary<string, object>>();
+
+        foreach (var node in nodes)
+        {
+            var nodeData = node.Properties != null
+                ? new Dictionary<string, object>(node.Properties)
+                : new Dictionary<string, object>();
+            nodeData["id"] = node.Id;
+            nodeData["type"] = node.Type;
+            nodeData["z"] = node.FlowId;
+            nodeData["name"] = node.Name ?? "";
+            nodeData["x"] = node.X;
+            nodeData["y"] = node.Y;
+
+            var wires = new List<List<string>>();
+            for (int i = 0; i < node.Outputs; i++)
+            {
+                wires.Add(Wires
+                    .Where(w => w.SourceId == node.Id && w.SourcePort == i && includeWire(w))
+                    .Select(w => w.TargetId)
+                    .ToList());
+            }
+            nodeData["wires"] = wires;
+
+            result.Add(nodeData);
+        }
+
+        return result;
+    }
+
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/clipboard.js
+    //         packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    // ============================================================
+    // validateImport() + importNodes(newNodesObj, {generateIds: true})
+    // - every imported node gets a new id and references between the
+    //   imported nodes are remapped; the nodes are positioned at the
+    //   mouse and left selected.
+    // ============================================================
+    /// <summary>
+    /// Import Node-RED flow JSON into the editor. Tabs in the JSON become new
+    /// flows; other nodes and groups go to the active flow (or a new flow when
+    /// <paramref name="newFlow"/> is set), centred on <paramref name="position"/>.
+    /// The new tabs, nodes, config nodes, groups and wires are recorded in
+    /// <paramref name="evt"/>.
+    /// </summary>
+    /// <exception cref="FormatException">The text is not valid flow JSON.</exception>
+    public List<FlowNode> ImportNodes(string json, Point position, HistoryEvent evt, bool newFlow = false)
+    {
+        var items = ParseFlowJson(json);
+
+        if (newFlow)
+        {
+            var flow = new Flow
+            {
+                Id = NodeRed.Util.Util.GenerateId(),
+                Label = $"Flow {Flows.Count + 1}",
+                Type = "tab"
+            };
+            Flows.Add(flow);
+            (evt.FlowsAfter ??= new()).Add(FlowSnapshot.FromFlow(flow));
+            ActiveFlowId = flow.Id;
+        }
+
+        var idMap = new Dictionary<string, string>();
+        foreach (var item in items)
+        {
+            idMap[(string)item["id"]] = NodeRed.Util.Util.GenerateId();
+        }
+
+        var importedTabs = new HashSet<string>();
+        foreach (var item in items.Where(i => (string)i["type"] == "tab"))
+        {
+            var flow = new Flow
+            {
+                Id = idMap[(string)item["id"]],
+                Label = item.GetValueOrDefault("label")?.ToString() ?? "Flow",
+                Type = "tab",
+                Disabled = item.GetValueOrDefault("disabled") is true
+            };
+            Flows.Add(flow);
+            (evt.FlowsAfter ??= new()).Add(FlowSnapshot.FromFlow(flow));
+            importedTabs.Add((string)item["id"]);
+        }
+
+        var newNodes = new List<FlowNode>();
+        var newWires = new List<FlowWire>();
+        var groupItems = new List<Dictionary<string, object>>();
+        foreach (var item in items.Where(i => (string)i["type"] != "tab"))
+        {
+            var oldId = (string)item["id"];
+            var type = (string)item["type"];
+            var properties = (Dictionary<string, object>)RemapIds(item, idMap);
+            var z = item.GetValueOrDefault("z")?.ToString();
+            var flowId = z != null && importedTabs.Contains(z) ? idMap[z] : ActiveFlowId;
+
+            if (type == "group")
+            {
+                properties["z"] = flowId;
+                groupItems.Add(properties);
+                continue;
+            }
+
+            // Config nodes have no position on the canvas
+            if (!item.ContainsKey("x") || !item.ContainsKey("y"))
+            {
+                var config = new ConfigNode
+                {
+                    Id = idMap[oldId],
+                    Type = type,
+                    Name = item.GetValueOrDefault("name")?.ToString()
+                };
+                ConfigNodes.Add(config);
+                (evt.ConfigNodesAfter ??= new()).Add(ConfigNodeSnapshot.FromConfigNode(config));
+                continue;
+            }
+
+            var wiresList = item.GetValueOrDefault("wires") as List<object>;
+            var name = item.GetValueOrDefault("name")?.ToString();
+
+            var node = new FlowNode
+            {
+                Id = idMap[oldId],
+                Type = type,
+                Name = string.IsNullOrEmpty(name) ? null : name,
+                Label = string.IsNullOrEmpty(name) ? type : name,
+                FlowId = flowId,
+                X = GetInt(item, "x", 100),
+                Y = GetInt(item, "y", 100),
+                Width = 120,
+                Height = 30,
+                Color = GetNodeColor(type),
+                Inputs = GetInt(item, "inputs", type == "inject" ? 0 : 1),
+                Outputs = wiresList?.Count ?? GetInt(item, "outputs", type == "debug" ? 0 : 1),
+                Properties = properties
+            };
+            newNodes.Add(node);
+
+            for (int port = 0; port < (wiresList?.Count ?? 0); port++)
+            {
+                if (wiresList![port] is not List<object> targets) continue;
+                foreach (var target in targets)
+                {
+                    // Wires to nodes outside the imported set are dropped
+                    if (target is string targetId && idMap.TryGetValue(targetId, out var newTargetId))
+                    {
+                        newWires.Add(new FlowWire
+                        {
+                            SourceId = node.Id,
+                            SourcePort = port,
+                            TargetId = newTargetId,
+                            TargetPort = 0,
+                            FlowId = flowId
+                        });
+                    }
+                }
+            }
+        }
+
+        // Groups keep only the members imported alongside them
+        var groupIds = groupItems.Select(g => (string)g["id"]).ToHashSet();
+        var newGroups = groupItems.Select(data => ParseGroup(data, groupIds)).ToList();
+        foreach (var group in newGroups)
+        {
+            group.Nodes.RemoveAll(id => !newNodes.Any(n => n.Id == id && n.FlowId == group.FlowId));
+            if (group.ParentGroupId != null && !groupIds.Contains(group.ParentGroupId))
+            {
+                group.ParentGroupId = null;
+            }
+        }
+
+        // Centre the nodes landing on the active flow on the pointer; their
+        // groups move with them
+        var placed = newNodes.Where(n => n.FlowId == ActiveFlowId).ToList();
+        if (placed.Count > 0)
+        {
+            var dx = position.X - (placed.Min(n => n.X) + placed.Max(n => n.X)) / 2;
+            var dy = position.Y - (placed.Min(n => n.Y) + placed.Max(n => n.Y)) / 2;
+            if (SnapGrid)
+            {
+                dx = (int)Math.Round((double)dx / GridSize) * GridSize;
+                dy = (int)Math.Round((double)dy / GridSize) * GridSize;
+            }
+            foreach (var node in placed)
+            {
+                node.X = Math.Max(0, node.X + dx);
+                node.Y = Math.Max(0, node.Y + dy);
+            }
+            foreach (var group in newGroups.Where(g => g.FlowId == ActiveFlowId))
+            {
+                group.X = Math.Max(0, group.X + dx);
+                group.Y = Math.Max(0, group.Y + dy);
+            }
+        }
+
+        foreach (var node in Nodes)
+        {
+            node.Selected = false;
+        }
+        foreach (var node in newNodes)
+        {
+            node.Properties!["id"] = node.Id;
+            node.Properties["z"] = node.FlowId;
+            node.Properties["x"] = node.X;
+            node.Properties["y"] = node.Y;
+            node.Selected = node.FlowId == ActiveFlowId;
+            AddNode(node, evt);
+        }
+        foreach (var wire in newWires)
+        {
+            wire.Path = CalculateWirePath(wire);
+            Wires.Add(wire);
+            evt.RecordWireAdded(wire);
+        }
+        foreach (var group in newGroups)
+        {
+            GroupManager.AddGroup(group);
+            (evt.GroupsAfter ??= new()).Add(GroupSnapshot.FromGroup(group));
+        }
+
+        MarkDirty();
+        return newNodes;
+    }
+
+    // Parse and validate flow JSON: an array of node objects (or a single
+    // node object), each with a string id and type.
+    private static List<Dictionary<string, object>> ParseFlowJson(string json)
+    {
+        JsonElement root;
+        try
+        {
+            using var document = JsonDocument.Parse(json);
+            root = document.RootElement.Clone();
+        }
+        catch (JsonException)
+        {
+            throw new FormatException("Text is not valid flow JSON");
+        }
+
+        var elements = root.ValueKind switch
+        {
+            JsonValueKind.Array => root.EnumerateArray().ToList(),
+            JsonValueKind.Object => new List<JsonElement> { root },
+            _ => throw new FormatException("Flow JSON must be an array of nodes")
+        };
+        if (elements.Count == 0)
+        {
+            throw new FormatException("No nodes to import");
+        }
+
+        var items = new List<Dictionary<string, object>>();
+        var ids = new HashSet<string>();
+        for (int i = 0; i < elements.Count; i++)
+        {
+            var element = elements[i];
+            if (element.ValueKind != JsonValueKind.Object ||
+                !element.TryGetProperty("id", out var id) || id.ValueKind != JsonValueKind.String ||
+                !element.TryGetProperty("type", out var type) || type.ValueKind != JsonValueKind.String)
+            {
+                throw new FormatException($"Invalid flow JSON: item {i + 1} is not a node with an id and type");
+            }
+            if (!ids.Add(id.GetString()!))
+            {
+                throw new FormatException($"Invalid flow JSON: duplicate node id {id.GetString()}");
+            }
+            items.Add((Dictionary<string, object>)ToPlainValue(element)!);
+        }
+        return items;
+    }
+
+    // JsonElement -> Dictionary / List / string / long / double / bool
+    private static object? ToPlainValue(JsonElement element)
+    {
+        return element.ValueKind switch
+        {
+            JsonValueKind.Object => element.EnumerateObject()
+                .ToDictionary(p => p.Name, p => ToPlainValue(p.Value)!),
+            JsonValueKind.Array => element.EnumerateArray().Select(ToPlainValue).ToList<object?>(),
+            JsonValueKind.String => element.GetString(),
+            JsonValueKind.Number => element.TryGetInt64(out var l) ? l : element.GetDouble(),
+            JsonValueKind.True => true,
+            JsonValueKind.False => false,
+            _ => null
+        };
+    }
+
+    // Replace any string equal to an imported node id (wires, config node
+    // references, link node targets...) with the node's new id
+    private static object RemapIds(object value, Dictionary<string, string> idMap)
+    {
+        return value switch
+        {
+            string s => idMap.TryGetValue(s, out var newId) ? newId : s,
+            Dictionary<string, object> dict => dict.ToDictionary(p => p.Key, p => p.Value is null ? null! : RemapIds(p.Value, idMap)),
+            List<object?> list => list.Select(v => v is null ? null : RemapIds(v, idMap)).ToList(),
+            _ => value
+        };
+    }
+
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/history.js
+    //         packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    // ============================================================
+    // Node and wire edits that can be undone. Each one appends what it
+    // changed to a HistoryEvent; RecordHistory pushes the finished
+    // event and Undo/Redo replay it backwards or forwards.
+    // ============================================================
+
+    /// <summary>
+    /// Wire two nodes on the same flow together. Self-wires and wires that
+    /// already exist are skipped.
+    /// </summary>
+    public FlowWire? AddWire(string sourceId, int sourcePort, string targetId, int targetPort, HistoryEvent evt)
+    {
+        if (sourceId == targetId) return null;
+        var source = Nodes.FirstOrDefault(n => n.Id == sourceId);
+        var target = Nodes.FirstOrDefault(n => n.Id == targetId);
+        if (source is null || target is null || source.FlowId != target.FlowId) return null;
+        if (Wires.Any(w => w.SourceId == sourceId && w.SourcePort == sourcePort &&
+                           w.TargetId == targetId && w.TargetPort == targetPort))
+        {
+            return null;
+        }
+
+        var wire = new FlowWire
+        {
+            SourceId = sourceId,
+            SourcePort = sourcePort,
+            TargetId = targetId,
+            TargetPort = targetPort,
+            FlowId = source.FlowId
+        };
+        wire.Path = CalculateWirePath(wire);
+        Wires.Add(wire);
+        evt.RecordWireAdded(wire);
+        return wire;
+    }
+
+    public void RemoveWire(FlowWire wire, HistoryEvent evt)
+    {
+        if (Wires.Remove(wire))
+        {
+            evt.RecordWireRemoved(wire);
+        }
+    }
+
+    public void AddNode(FlowNode node, HistoryEvent evt)
+    {
+        Nodes.Add(node);
+        (evt.NodesAfter ??= new()).Add(NodeSnapshot.FromNode(node));
+    }
+
+    /// <summary>
+    /// Remove a node along with its wires.
+    /// </summary>
+    public void RemoveNode(FlowNode node, HistoryEvent evt)
+    {
+        foreach (var wire in Wires.Where(w => w.SourceId == node.Id || w.TargetId == node.Id).ToList())
+        {
+            RemoveWire(wire, evt);
+        }
+        if (Nodes.Remove(node))
+        {
+            (evt.NodesBefore ??= new()).Add(NodeSnapshot.FromNode(node));
+        }
+    }
+
+    // view.js only offers to splice a node with an input and an output
+    // that isn't wired to anything yet
+    public bool CanSplice(FlowNode node)
+    {
+        return node.Inputs > 0 && node.Outputs > 0 &&
+               !Wires.Any(w => w.SourceId == node.Id || w.TargetId == node.Id);
+    }
+
+    /// <summary>
+    /// Insert a node into a wire, replacing source -> target with
+    /// source -> node -> target.
+    /// </summary>
+    public void SpliceNode(FlowNode node, FlowWire wire, HistoryEvent evt)
+    {
+        if (!CanSplice(node) || wire.FlowId != node.FlowId) return;
+
+        RemoveWire(wire, evt);
+        AddWire(wire.SourceId, wire.SourcePort, node.Id, 0, evt);
+        AddWire(node.Id, 0, wire.TargetId, wire.TargetPort, evt);
+    }
+
+    /// <summary>
+    /// Take a node out of its wires, wiring everything that fed it to
+    /// everything it fed.
+    /// </summary>
+    public void DetachNode(FlowNode node, HistoryEvent evt)
+    {
+        var inputs = Wires.Where(w => w.TargetId == node.Id).ToList();
+        var outputs = Wires.Where(w => w.SourceId == node.Id).ToList();
+        foreach (var wire in inputs.Concat(outputs))
+        {
+            RemoveWire(wire, evt);
+        }
+        foreach (var input in inputs)
+        {
+            foreach (var output in outputs)
+            {
+                AddWire(input.SourceId, input.SourcePort, output.TargetId, output.TargetPort, evt);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Move nodes to another flow where they are, so they keep their
+    /// layout. Wires between them go too; wires to nodes left behind are
+    /// removed. The nodes keep their ids, so link nodes still pair up
+    /// with the same link nodes. A group goes with its nodes if they all
+    /// move; otherwise they leave it.
+    /// </summary>
+    public void MoveNodesToFlow(IReadOnlyCollection<FlowNode> nodes, string flowId, HistoryEvent evt)
+    {
+        if (!Flows.Any(f => f.Id == flowId)) return;
+        var moving = nodes.Where(n => n.FlowId != flowId).ToList();
+        var ids = moving.Select(n => n.Id).ToHashSet();
+        if (ids.Count == 0) return;
+
+        foreach (var wire in Wires.Where(w => ids.Contains(w.SourceId) != ids.Contains(w.TargetId)).ToList())
+        {
+            RemoveWire(wire, evt);
+        }
+
+        // Nodes that leave a group record that change instead of a plain move
+        var leftGroup = new HashSet<string>();
+        evt.FlowChanges ??= new();
+        foreach (var group in GroupManager.Groups.Where(g => g.Nodes.Any(ids.Contains)).ToList())
+        {
+            if (group.Nodes.All(ids.Contains))
+            {
+                evt.FlowChanges.Add(new FlowChange { Id = group.Id, FromFlowId = group.FlowId, ToFlowId = flowId });
+                group.FlowId = flowId;
+                continue;
+            }
+            foreach (var nodeId in group.Nodes.Where(ids.Contains).ToList())
+            {
+                GroupManager.RemoveNodeFromGroup(group.Id, nodeId);
+                evt.FlowChanges.Add(new FlowChange
+                {
+                    Id = nodeId, FromFlowId = group.FlowId, ToFlowId = flowId, LeftGroupId = group.Id
+                });
+                leftGroup.Add(nodeId);
+            }
+        }
+        foreach (var node in moving)
+        {
+            if (!leftGroup.Contains(node.Id))
+            {
+                evt.FlowChanges.Add(new FlowChange { Id = node.Id, FromFlowId = node.FlowId, ToFlowId = flowId });
+            }
+            node.FlowId = flowId;
+        }
+        foreach (var wire in Wires.Where(w => ids.Contains(w.SourceId) || ids.Contains(w.TargetId)))
+        {
+            wire.FlowId = flowId;
+        }
+    }
+
+    /// <summary>
+    /// Move a tab to a new position in the tab bar.
+    /// </summary>
+    public void MoveFlow(string flowId, int index, HistoryEvent evt)
+    {
+        var flow = Flows.FirstOrDefault(f => f.Id == flowId);
+        if (flow is null) return;
+        evt.FlowOrderBefore ??= Flows.Select(f => f.Id).ToList();
+        Flows.Remove(flow);
+        Flows.Insert(Math.Clamp(index, 0, Flows.Count), flow);
+        evt.FlowOrderAfter = Flows.Select(f => f.Id).ToList();
+    }
+
+    /// <summary>
+    /// Push a finished edit onto the undo stack. Returns false if it
+    /// didn't change anything.
+    /// </summary>
+    public bool RecordHistory(HistoryEvent evt)
+    {
+        if (evt.IsEmpty) return false;
+        History.Push(evt);
+        MarkDirty();
+        NotifyNodesEdited(evt.GetNodeIds());
+        return true;
+    }
+
+    public bool Undo()
+    {
+        var evt = History.Undo();
+        if (evt is null) return false;
+        ApplyHistoryEvent(evt, undo: true);
+        return true;
+    }
+
+    public bool Redo()
+    {
+        var evt = History.Redo();
+        if (evt is null) return false;
+        ApplyHistoryEvent(evt, undo: false);
+        return true;
+    }
+
+    private void ApplyHistoryEvent(HistoryEvent evt, bool undo)
+    {
+        var removeNodes = (undo ? evt.NodesAfter : evt.NodesBefore) ?? new();
+        var addNodes = (undo ? evt.NodesBefore : evt.NodesAfter) ?? new();
+        var removeWires = (undo ? evt.WiresAfter : evt.WiresBefore) ?? new();
+        var addWires = (undo ? evt.WiresBefore : evt.WiresAfter) ?? new();
+        var removeFlows = (undo ? evt.FlowsAfter : evt.FlowsBefore) ?? new();
+        var addFlows = (undo ? evt.FlowsBefore : evt.FlowsAfter) ?? new();
+        var removeConfigNodes = (undo ? evt.ConfigNodesAfter : evt.ConfigNodesBefore) ?? new();
+        var addConfigNodes = (undo ? evt.ConfigNodesBefore : evt.ConfigNodesAfter) ?? new();
+        var removeGroups = (undo ? evt.GroupsAfter : evt.GroupsBefore) ?? new();
+        var addGroups = (undo ? evt.GroupsBefore : evt.GroupsAfter) ?? new();
+
+        foreach (var snapshot in addFlows)
+        {
+            if (!Flows.Any(f => f.Id == snapshot.Id))
+            {
+                Flows.Add(snapshot.ToFlow());
+            }
+        }
+        foreach (var snapshot in removeWires)
+        {
+            Wires.RemoveAll(snapshot.Matches);
+        }
+        foreach (var snapshot in removeNodes)
+        {
+            Nodes.RemoveAll(n => n.Id == snapshot.Id);
+            Wires.RemoveAll(w => w.SourceId == snapshot.Id || w.TargetId == snapshot.Id);
+        }
+        foreach (var snapshot in addNodes)
+        {
+            if (!Nodes.Any(n => n.Id == snapshot.Id))
+            {
+                Nodes.Add(snapshot.ToNode());
+            }
+        }
+        foreach (var snapshot in removeGroups)
+        {
+            GroupManager.RemoveGroup(snapshot.Id);
+        }
+        foreach (var snapshot in addGroups)
+        {
+            if (GroupManager.GetGroup(snapshot.Id) is null)
+            {
+                GroupManager.AddGroup(snapshot.ToGroup());
+            }
+        }
+        foreach (var snapshot in removeConfigNodes)
+        {
+            ConfigNodes.RemoveAll(c => c.Id == snapshot.Id);
+        }
+        foreach (var snapshot in addConfigNodes)
+        {
+            if (!ConfigNodes.Any(c => c.Id == snapshot.Id))
+            {
+                ConfigNodes.Add(snapshot.ToConfigNode());
+            }
+        }
+
+        if (evt.MoveDelta != null)
+        {
+            var sign = undo ? -1 : 1;
+            foreach (var (id, dx, dy) in evt.MoveDelta)
+            {
+                var node = Nodes.FirstOrDefault(n => n.Id == id);
+                if (node is null) continue;
+                node.X += sign * dx;
+                node.Y += sign * dy;
+            }
+        }
+
+        if (evt.FlowChanges != null)
+        {
+            foreach (var change in evt.FlowChanges)
+            {
+                var flowId = undo ? change.FromFlowId : change.ToFlowId;
+                var group = GroupManager.GetGroup(change.Id);
+                if (group != null)
+                {
+                    group.FlowId = flowId;
+                    continue;
+                }
+                var node = Nodes.FirstOrDefault(n => n.Id == change.Id);
+                if (node is null) continue;
+                node.FlowId = flowId;
+                if (change.LeftGroupId != null)
+                {
+                    if (undo)
+                    {
+                        GroupManager.AddNodeToGroup(change.LeftGroupId, node.Id);
+                    }
+                    else
+                    {
+                        GroupManager.RemoveNodeFromGroup(change.LeftGroupId, node.Id);
+                    }
+                }
+            }
+            foreach (var wire in Wires)
+            {
+                wire.FlowId = Nodes.FirstOrDefault(n => n.Id == wire.SourceId)?.FlowId ?? wire.FlowId;
+            }
+            // Follow the nodes, as the move itself did
+            var first = evt.FlowChanges.FirstOrDefault();
+            if (first != null)
+            {
+                ActiveFlowId = undo ? first.FromFlowId : first.ToFlowId;
+            }
+        }
+
+        var order = undo ? evt.FlowOrderBefore : evt.FlowOrderAfter;
+        if (order != null)
+        {
+            // Tabs added since go to the end
+            var ordered = Flows.OrderBy(f => order.IndexOf(f.Id) is var i && i >= 0 ? i : int.MaxValue).ToList();
+            Flows.Clear();
+            Flows.AddRange(ordered);
+        }
+
+        foreach (var snapshot in removeFlows)
+        {
+            Flows.RemoveAll(f => f.Id == snapshot.Id);
+        }
+        if (!Flows.Any(f => f.Id == ActiveFlowId))
+        {
+            ActiveFlowId = Flows.FirstOrDefault()?.Id ?? "";
+        }
+
+        foreach (var snapshot in addWires)
+        {
+            if (!Wires.Any(snapshot.Matches) &&
+                Nodes.Any(n => n.Id == snapshot.SourceId) &&
+                Nodes.Any(n => n.Id == snapshot.TargetId))
+            {
+                Wires.Add(snapshot.ToWire());
+            }
+        }
+
+        foreach (var wire in Wires)
+        {
+            wire.Path = CalculateWirePath(wire);
+        }
+        MarkDirty();
+        NotifyStateChanged();
+    }
+
+    // Keymap entries are either { "key": "...", "scope": "..." } or just the key string
+    private static Dictionary<string, KeyBinding> ParseKeymap(JsonElement keymap)
+    {
+        var result = new Dictionary<string, KeyBinding>();
+        if (keymap.ValueKind != JsonValueKind.Object) return result;
+
+        foreach (var entry in keymap.EnumerateObject())
+        {
+            var binding = new KeyBinding { Action = entry.Name };
+            if (entry.Value.ValueKind == JsonValueKind.String)
+            {
+                binding.Key = entry.Value.GetString() ?? "";
+            }
+            else if (entry.Value.ValueKind == JsonValueKind.Object)
+            {
+                if (entry.Value.TryGetProperty("key", out var key)) binding.Key = key.GetString() ?? "";
+                if (entry.Value.TryGetProperty("scope", out var scope)) binding.Scope = scope.GetString() ?? "";
+            }
+            else
+            {
+                continue;
+            }
+            result[entry.Name] = binding;
+        }
+        return result;
+    }
+
     private static int GetInt(Dictionary<string, object> data, string key, int defaultValue)
     {
         if (data.TryGetValue(key, out var value))
@@ -573,11 +1568,7 @@ public class EditorState
         var targetX = targetNode.X;
         var targetY = targetNode.Y + targetNode.Height / 2;
 
-        // Create bezier curve
-        var dx = Math.Abs(targetX - sourceX);
-        var controlOffset = Math.Max(75, dx / 2);
-
-        return $"M {sourceX} {sourceY} C {sourceX + controlOffset} {sourceY}, {targetX - controlOffset} {targetY}, {targetX} {targetY}";
+        return EditorUtils.CalculateWirePath(sourceX, sourceY, targetX, targetY, WireStyle);
     }
 }
 
@@ -643,6 +1634,9 @@ public class FlowWire
     public string Path { get; set; } = "";
     public string Color { get; set; } = "#888";
     public bool Selected { get; set; }
+
+    // Identifies the wire in the DOM (data-wire-key) for hit-testing
+    public string Key => $"{SourceId}:{SourcePort}:{TargetId}:{TargetPort}";
 }
 
 public class ConfigNode
@@ -653,14 +1647,6 @@ public class ConfigNode
     public int Users { get; set; }
 }
 
-public class DebugMessage
-{
-    public DateTime Timestamp { get; set; } = DateTime.Now;
-    public string Topic { get; set; } = "";
-    public string Payload { get; set; } = "";
-    public string Level { get; set; } = "debug";
-}
-
 public class TrayConfig
 {
     public string Title { get; set; } = "";
@@ -701,28 +1687,49 @@ public class FlowsResponse
 // ============================================================
 // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/menu.js
 // ============================================================
+/// <summary>
+/// An entry of a context menu, shown by nodeRedEditor.showContextMenu.
+/// </summary>
 public class ContextMenuItem
 {
     public string Id { get; set; } = "";
     public string Label { get; set; } = "";
     public string? Icon { get; set; }
     public string? Shortcut { get; set; }
+    /// <summary>Keymap action whose binding is shown when there is no <see cref="Shortcut"/>.</summary>
+    public string? ActionName { get; set; }
     public bool Disabled { get; set; }
     public bool IsSeparator { get; set; }
+    /// <summary>Entries of a submenu.</summary>
+    public List<ContextMenuItem>? Items { get; set; }
+    [JsonIgnore]
     public Action? Action { get; set; }
 }
 
+/// <summary>
+/// What a context menu was opened on, from nodeRedEditor.getContextMenuTarget.
+/// </summary>
+public class ContextMenuTarget
+{
+    /// <summary>"node", "port", "wire", "group" or "canvas".</summary>
+    public string Type { get; set; } = "canvas";
+    public string? NodeId { get; set; }
+    /// <summary>"input" or "output", for a port.</summary>
+    public string? PortType { get; set; }
+    public int PortIndex { get; set; }
+    public string? WireKey { get; set; }
+    public string? GroupId { get; set; }
+}
+
 // ============================================================
-// SOURCE: packages/node_modules/@node-red/editor-client/src/js/history.js
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/keyboard.js
 // ============================================================
-public class EditorAction
+public class KeyBinding
 {
-    public string Type { get; set; } = "";
-    public DateTime Timestamp { get; set; } = DateTime.Now;
-    public List<FlowNode>? Nodes { get; set; }
-    public List<FlowWire>? Wires { get; set; }
-    public Dictionary<string, object>? Before { get; set; }
-    public Dictionary<string, object>? After { get; set; }
+    public string Action { get; set; } = "";
+    public string Key { get; set; } = "";
+    public string Scope { get; set; } = "";
+    public bool UserDefined { get; set; }
 }
 
 // ============================================================
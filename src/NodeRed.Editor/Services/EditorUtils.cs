@@ -79,22 +79,187 @@ public static class EditorUtils
         };
     }
 
+    // ============================================================
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    // ============================================================
+    // node_width = 100, node_height = 30, lineCurveScale = 0.75
+    // ============================================================
+    private const int NodeWidth = 100;
+    private const int NodeHeight = 30;
+    private const double LineCurveScale = 0.75;
+
+    // Circuit wires: length of the horizontal stub leaving/entering a
+    // port, and the corner radius
+    private const int CircuitStub = NodeWidth / 4;
+    private const int CircuitRadius = 8;
+
     /// <summary>
-    /// Calculates a bezier wire path between two points.
-    /// Translated from Node-RED's view.js wire calculation.
+    /// Calculates the SVG path of a wire between an output port (x1, y1)
+    /// and an input port (x2, y2) in the given style.
+    /// Mirrored by calculateWirePath in editor-interop.js.
     /// </summary>
-    public static string CalculateWirePath(int x1, int y1, int x2, int y2)
+    public static string CalculateWirePath(int x1, int y1, int x2, int y2, WireStyle style = WireStyle.Bezier)
+    {
+        return style switch
+        {
+            WireStyle.Straight => $"M {x1} {y1} L {x2} {y2}",
+            WireStyle.Circuit => GenerateCircuitPath(x1, y1, x2, y2),
+            _ => GenerateLinkPath(x1, y1, x2, y2)
+        };
+    }
+
+    // ============================================================
+    // ORIGINAL CODE (view.js generateLinkPath):
+    // ------------------------------------------------------------
+    // Forward wires are a single bezier whose control points shrink
+    // for short wires. Backward wires loop out of the source, round
+    // the midpoint between the nodes and back into the target as a
+    // chain of smooth curves, so they don't run through the nodes.
+    // ------------------------------------------------------------
+    // TRANSLATION (sc = 1: wires always run output -> input):
+    // ------------------------------------------------------------
+    private static string GenerateLinkPath(double origX, double origY, double destX, double destY)
     {
-        var dx = Math.Abs(x2 - x1);
-        var dy = Math.Abs(y2 - y1);
-        
-        var cp = Math.Max(75, dx / 2);
-        
-        if (x2 < x1)
+        var dy = destY - origY;
+        var dx = destX - origX;
+        var delta = Math.Sqrt(dy * dy + dx * dx);
+        var scale = LineCurveScale;
+
+        if (dx > 0)
+        {
+            if (delta < NodeWidth)
+            {
+                scale = 0.75 - 0.75 * ((NodeWidth - delta) / NodeWidth);
+            }
+            return $"M {F(origX)} {F(origY)} C {F(origX + NodeWidth * scale)} {F(origY)} " +
+                   $"{F(destX - scale * NodeWidth)} {F(destY)} {F(destX)} {F(destY)}";
+        }
+
+        scale = 0.4 - 0.2 * Math.Max(0, (NodeWidth - Math.Min(Math.Abs(dx), Math.Abs(dy))) / NodeWidth);
+
+        var midX = Math.Floor(destX - dx / 2);
+        var midY = Math.Floor(destY - dy / 2);
+        if (dy == 0)
         {
-            cp = Math.Max(75, dy / 2);
+            midY = destY + NodeHeight;
         }
-        
-        return $"M {x1} {y1} C {x1 + cp} {y1}, {x2 - cp} {y2}, {x2} {y2}";
+        var cpHeight = NodeHeight / 2.0;
+        var y1 = (destY + midY) / 2;
+        var topX = origX + NodeWidth * scale;
+        var topY = dy > 0 ? Math.Min(y1 - dy / 2, origY + cpHeight) : Math.Max(y1 - dy / 2, origY - cpHeight);
+        var bottomX = destX - NodeWidth * scale;
+        var bottomY = dy > 0 ? Math.Max(y1, destY - cpHeight) : Math.Min(y1, destY + cpHeight);
+        var x1 = (origX + topX) / 2;
+        var scy = dy > 0 ? 1 : -1;
+
+        var cp = new[]
+        {
+            // Orig -> Top
+            new[] { x1, origY },
+            new[] { topX, dy > 0 ? Math.Max(origY, topY - cpHeight) : Math.Min(origY, topY + cpHeight) },
+            // Top -> Mid
+            new[] { x1, dy > 0 ? Math.Min(midY, topY + cpHeight) : Math.Max(midY, topY - cpHeight) },
+            // Mid -> Bottom
+            new[] { bottomX, dy > 0 ? Math.Max(midY, bottomY - cpHeight) : Math.Min(midY, bottomY + cpHeight) },
+            // Bottom -> Dest
+            new[] { (destX + bottomX) / 2, destY }
+        };
+        if (cp[2][1] == topY + scy * cpHeight)
+        {
+            if (Math.Abs(dy) < cpHeight * 10)
+            {
+                cp[1][1] = topY - scy * cpHeight / 2;
+                cp[3][1] = bottomY - scy * cpHeight / 2;
+            }
+            cp[2][0] = topX;
+        }
+
+        return $"M {F(origX)} {F(origY)}" +
+               $" C {F(cp[0][0])} {F(cp[0][1])} {F(cp[1][0])} {F(cp[1][1])} {F(topX)} {F(topY)}" +
+               $" S {F(cp[2][0])} {F(cp[2][1])} {F(midX)} {F(midY)}" +
+               $" S {F(cp[3][0])} {F(cp[3][1])} {F(bottomX)} {F(bottomY)}" +
+               $" S {F(cp[4][0])} {F(cp[4][1])} {F(destX)} {F(destY)}";
     }
+
+    // Orthogonal wire with rounded corners. Backward wires leave the
+    // source to the right, run back along a channel between the nodes
+    // (or below both when they are level) and enter the target from
+    // the left.
+    private static string GenerateCircuitPath(int x1, int y1, int x2, int y2)
+    {
+        var points = new List<(double X, double Y)> { (x1, y1) };
+
+        if (x2 > x1)
+        {
+            if (y1 != y2)
+            {
+                var midX = x1 + (x2 - x1) / 2.0;
+                points.Add((midX, y1));
+                points.Add((midX, y2));
+            }
+        }
+        else
+        {
+            var channelY = Math.Abs(y2 - y1) >= NodeHeight * 2
+                ? (y1 + y2) / 2.0
+                : Math.Max(y1, y2) + NodeHeight;
+            points.Add((x1 + CircuitStub, y1));
+            points.Add((x1 + CircuitStub, channelY));
+            points.Add((x2 - CircuitStub, channelY));
+            points.Add((x2 - CircuitStub, y2));
+        }
+
+        points.Add((x2, y2));
+        return RoundedPolyline(points, CircuitRadius);
+    }
+
+    // Join points with straight segments, rounding each corner with a
+    // quadratic curve no larger than half of either adjoining segment
+    private static string RoundedPolyline(List<(double X, double Y)> points, double radius)
+    {
+        var path = new System.Text.StringBuilder($"M {F(points[0].X)} {F(points[0].Y)}");
+
+        for (int i = 1; i < points.Count - 1; i++)
+        {
+            var (px, py) = points[i - 1];
+            var (cx, cy) = points[i];
+            var (nx, ny) = points[i + 1];
+            var inLength = Math.Abs(cx - px) + Math.Abs(cy - py);
+            var outLength = Math.Abs(nx - cx) + Math.Abs(ny - cy);
+            var r = Math.Min(radius, Math.Min(inLength, outLength) / 2);
+            if (r <= 0)
+            {
+                continue;
+            }
+
+            var startX = cx - Math.Sign(cx - px) * r;
+            var startY = cy - Math.Sign(cy - py) * r;
+            var endX = cx + Math.Sign(nx - cx) * r;
+            var endY = cy + Math.Sign(ny - cy) * r;
+            path.Append($" L {F(startX)} {F(startY)} Q {F(cx)} {F(cy)} {F(endX)} {F(endY)}");
+        }
+
+        var (lastX, lastY) = points[^1];
+        path.Append($" L {F(lastX)} {F(lastY)}");
+        return path.ToString();
+    }
+
+    // SVG path numbers must use '.' whatever the server culture
+    private static string F(double value)
+    {
+        return value.ToString("0.##", System.Globalization.CultureInfo.InvariantCulture);
+    }
+}
+
+/// <summary>
+/// How wires are drawn between nodes.
+/// </summary>
+public enum WireStyle
+{
+    /// <summary>Node-RED's default curved wires.</summary>
+    Bezier,
+    /// <summary>Orthogonal wires with rounded corners.</summary>
+    Circuit,
+    /// <summary>Straight lines from port to port.</summary>
+    Straight
 }
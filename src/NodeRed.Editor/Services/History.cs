@@ -126,13 +126,93 @@ public class HistoryEvent
     public List<WireSnapshot>? WiresAfter { get; set; }
     public List<FlowSnapshot>? FlowsBefore { get; set; }
     public List<FlowSnapshot>? FlowsAfter { get; set; }
+    public List<ConfigNodeSnapshot>? ConfigNodesBefore { get; set; }
+    public List<ConfigNodeSnapshot>? ConfigNodesAfter { get; set; }
+    public List<GroupSnapshot>? GroupsBefore { get; set; }
+    public List<GroupSnapshot>? GroupsAfter { get; set; }
 
     // For move operations
     public List<(string Id, int DeltaX, int DeltaY)>? MoveDelta { get; set; }
 
+    // Nodes and groups moved to another flow
+    public List<FlowChange>? FlowChanges { get; set; }
+
+    // Tab order (flow ids) before and after a tab was dragged
+    public List<string>? FlowOrderBefore { get; set; }
+    public List<string>? FlowOrderAfter { get; set; }
+
     // For property changes
     public Dictionary<string, object?>? PropertiesBefore { get; set; }
     public Dictionary<string, object?>? PropertiesAfter { get; set; }
+
+    /// <summary>
+    /// True if the event records no change and need not be pushed.
+    /// </summary>
+    public bool IsEmpty =>
+        (NodesBefore?.Count ?? 0) == 0 && (NodesAfter?.Count ?? 0) == 0 &&
+        (WiresBefore?.Count ?? 0) == 0 && (WiresAfter?.Count ?? 0) == 0 &&
+        (MoveDelta?.All(m => m.DeltaX == 0 && m.DeltaY == 0) ?? true) &&
+        (FlowsBefore?.Count ?? 0) == 0 && (FlowsAfter?.Count ?? 0) == 0 &&
+        (ConfigNodesBefore?.Count ?? 0) == 0 && (ConfigNodesAfter?.Count ?? 0) == 0 &&
+        (GroupsBefore?.Count ?? 0) == 0 && (GroupsAfter?.Count ?? 0) == 0 &&
+        (FlowChanges?.Count ?? 0) == 0 &&
+        (FlowOrderBefore ?? new()).SequenceEqual(FlowOrderAfter ?? new());
+
+    /// <summary>
+    /// Ids of the nodes the event adds, removes, moves or rewires.
+    /// </summary>
+    public HashSet<string> GetNodeIds()
+    {
+        var ids = new HashSet<string>();
+        foreach (var node in (NodesBefore ?? new()).Concat(NodesAfter ?? new()))
+        {
+            ids.Add(node.Id);
+        }
+        foreach (var wire in (WiresBefore ?? new()).Concat(WiresAfter ?? new()))
+        {
+            ids.Add(wire.SourceId);
+            ids.Add(wire.TargetId);
+        }
+        foreach (var move in MoveDelta ?? new())
+        {
+            ids.Add(move.Id);
+        }
+        foreach (var change in FlowChanges ?? new())
+        {
+            ids.Add(change.Id);
+        }
+        return ids;
+    }
+
+    /// <summary>
+    /// Record a wire being removed. Removing a wire added earlier in the
+    /// same event cancels the addition instead.
+    /// </summary>
+    public void RecordWireRemoved(FlowWire wire)
+    {
+        var added = WiresAfter?.FindIndex(w => w.Matches(wire)) ?? -1;
+        if (added >= 0)
+        {
+            WiresAfter!.RemoveAt(added);
+            return;
+        }
+        (WiresBefore ??= new()).Add(WireSnapshot.FromWire(wire));
+    }
+
+    /// <summary>
+    /// Record a wire being added. Re-adding a wire removed earlier in the
+    /// same event cancels the removal instead.
+    /// </summary>
+    public void RecordWireAdded(FlowWire wire)
+    {
+        var removed = WiresBefore?.FindIndex(w => w.Matches(wire)) ?? -1;
+        if (removed >= 0)
+        {
+            WiresBefore!.RemoveAt(removed);
+            return;
+        }
+        (WiresAfter ??= new()).Add(WireSnapshot.FromWire(wire));
+    }
 }
 
 public enum HistoryEventType
@@ -148,7 +228,9 @@ public enum HistoryEventType
     EditFlow,
     Import,
     Group,
-    Ungroup
+    Ungroup,
+    MoveToFlow,
+    ReorderFlows
 }
 
 /// <summary>
@@ -159,6 +241,7 @@ public class NodeSnapshot
     public string Id { get; set; } = "";
     public string Type { get; set; } = "";
     public string? Name { get; set; }
+    public string Label { get; set; } = "";
     public string FlowId { get; set; } = "";
     public int X { get; set; }
     public int Y { get; set; }
@@ -176,6 +259,7 @@ public class NodeSnapshot
             Id = node.Id,
             Type = node.Type,
             Name = node.Name,
+            Label = node.Label,
             FlowId = node.FlowId,
             X = node.X,
             Y = node.Y,
@@ -195,7 +279,7 @@ public class NodeSnapshot
             Id = Id,
             Type = Type,
             Name = Name,
-            Label = Name ?? Type,
+            Label = string.IsNullOrEmpty(Label) ? Name ?? Type : Label,
             FlowId = FlowId,
             X = X,
             Y = Y,
@@ -232,6 +316,12 @@ public class WireSnapshot
         };
     }
 
+    public bool Matches(FlowWire wire)
+    {
+        return wire.SourceId == SourceId && wire.SourcePort == SourcePort &&
+               wire.TargetId == TargetId && wire.TargetPort == TargetPort;
+    }
+
     public FlowWire ToWire()
     {
         return new FlowWire
@@ -245,6 +335,18 @@ public class WireSnapshot
     }
 }
 
+/// <summary>
+/// A node or group moved from one flow to another. A node that left a
+/// group behind (the rest of the group stayed) records which one.
+/// </summary>
+public class FlowChange
+{
+    public string Id { get; set; } = "";
+    public string FromFlowId { get; set; } = "";
+    public string ToFlowId { get; set; } = "";
+    public string? LeftGroupId { get; set; }
+}
+
 /// <summary>
 /// Snapshot of a flow/tab for history storage.
 /// </summary>
@@ -275,3 +377,105 @@ public class FlowSnapshot
         };
     }
 }
+
+/// <summary>
+/// Snapshot of a config node for history storage.
+/// </summary>
+public class ConfigNodeSnapshot
+{
+    public string Id { get; set; } = "";
+    public string Type { get; set; } = "";
+    public string? Name { get; set; }
+
+    public static ConfigNodeSnapshot FromConfigNode(ConfigNode config)
+    {
+        return new ConfigNodeSnapshot
+        {
+            Id = config.Id,
+            Type = config.Type,
+            Name = config.Name
+        };
+    }
+
+    public ConfigNode ToConfigNode()
+    {
+        return new ConfigNode
+        {
+            Id = Id,
+            Type = Type,
+            Name = Name
+        };
+    }
+}
+
+/// <summary>
+/// Snapshot of a group for history storage.
+/// </summary>
+public class GroupSnapshot
+{
+    public string Id { get; set; } = "";
+    public string FlowId { get; set; } = "";
+    public string? Name { get; set; }
+    public string? Style { get; set; }
+    public int X { get; set; }
+    public int Y { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
+    public string? Fill { get; set; }
+    public double FillOpacity { get; set; }
+    public string? Stroke { get; set; }
+    public double StrokeOpacity { get; set; }
+    public string? Label { get; set; }
+    public string LabelPosition { get; set; } = "nw";
+    public List<string> Nodes { get; set; } = new();
+    public string? ParentGroupId { get; set; }
+    public List<string> ChildGroups { get; set; } = new();
+
+    public static GroupSnapshot FromGroup(NodeGroup group)
+    {
+        return new GroupSnapshot
+        {
+            Id = group.Id,
+            FlowId = group.FlowId,
+            Name = group.Name,
+            Style = group.Style,
+            X = group.X,
+            Y = group.Y,
+            Width = group.Width,
+            Height = group.Height,
+            Fill = group.Fill,
+            FillOpacity = group.FillOpacity,
+            Stroke = group.Stroke,
+            StrokeOpacity = group.StrokeOpacity,
+            Label = group.Label,
+            LabelPosition = group.LabelPosition,
+            Nodes = new List<string>(group.Nodes),
+            ParentGroupId = group.ParentGroupId,
+            ChildGroups = new List<string>(group.ChildGroups)
+        };
+    }
+
+    public NodeGroup ToGroup()
+    {
+        return new NodeGroup
+        {
+            Id = Id,
+            FlowId = FlowId,
+            Name = Name,
+            Style = Style,
+            X = X,
+            Y = Y,
+            Width = Width,
+            Height = Height,
+            Fill = Fill,
+            FillOpacity = FillOpacity,
+            Stroke = Stroke,
+            StrokeOpacity = StrokeOpacity,
+            Label = Label,
+            LabelPosition = LabelPosition,
+            Nodes = new List<string>(Nodes),
+            ParentGroupId = ParentGroupId,
+            ChildGroups = new List<string>(ChildGroups)
+        };
+    }
+}
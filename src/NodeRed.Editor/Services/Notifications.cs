@@ -0,0 +1,89 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/notifications.js
+// ============================================================
+// Editor notifications (RED.notify). Rendered by nodeRedEditor.notify
+// in editor-interop.js, which always treats the message as text.
+// ============================================================
+
+using Microsoft.JSInterop;
+
+namespace NodeRed.Editor.Services;
+
+/// <summary>
+/// Shows toast and modal notifications in the editor.
+/// </summary>
+public class NotificationService
+{
+    private readonly IJSRuntime _js;
+
+    public NotificationService(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    /// <summary>
+    /// Show a simple notification that closes after <paramref name="timeout"/> ms.
+    /// </summary>
+    public Task NotifyAsync(string message, string type = "info", int timeout = 3000)
+    {
+        return NotifyAsync(new NotificationPayload { Text = message, Type = type, Timeout = timeout });
+    }
+
+    /// <summary>
+    /// Show a notification. If one with the same <see cref="NotificationPayload.Id"/>
+    /// is already open it is updated in place.
+    /// </summary>
+    public async Task NotifyAsync(NotificationPayload notification)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.notify", notification.Text, notification);
+        }
+        catch (JSException)
+        {
+            // Notifications are best effort
+        }
+        catch (JSDisconnectedException)
+        {
+        }
+    }
+
+    /// <summary>
+    /// Show a notification with buttons and wait until one is clicked.
+    /// Returns the button's value (or text), or null if it was closed.
+    /// </summary>
+    public async Task<string?> ConfirmAsync(NotificationPayload notification)
+    {
+        try
+        {
+            // No timeout - the user may take as long as they like to answer
+            return await _js.InvokeAsync<string?>("nodeRedEditor.notifyAsync",
+                CancellationToken.None, new object?[] { notification.Text, notification });
+        }
+        catch (JSException)
+        {
+            return null;
+        }
+        catch (JSDisconnectedException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Close the notification with the given id, if it is open.
+    /// </summary>
+    public async Task CloseAsync(string id)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.closeNotification", id);
+        }
+        catch (JSException)
+        {
+        }
+        catch (JSDisconnectedException)
+        {
+        }
+    }
+}
@@ -0,0 +1,120 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/editor-client/src/js/comms.js
+// ============================================================
+// Multi-user presence. Each editor shares its pointer, tab, selection
+// and tray through CommsHub; the browser holds that connection (the
+// PRESENCE section of editor-interop.js) and draws the other editors'
+// cursors and selections itself. This service keeps the .NET side in
+// step: it passes on what this editor is doing and warns when an edit
+// touches a node someone else is working on.
+// ============================================================
+
+using Microsoft.JSInterop;
+
+namespace NodeRed.Editor.Services;
+
+/// <summary>
+/// Another editor connected to the same runtime.
+/// </summary>
+public class RemoteEditor
+{
+    public string ConnectionId { get; set; } = "";
+    public string Name { get; set; } = "";
+    public string Color { get; set; } = "";
+    public string? FlowId { get; set; }
+    public List<string> Selection { get; set; } = new();
+    public string? Editing { get; set; }
+}
+
+public class PresenceService : IDisposable
+{
+    // The same editor and node only warn again after this long
+    private static readonly TimeSpan WarningInterval = TimeSpan.FromSeconds(30);
+
+    private readonly IJSRuntime _js;
+    private readonly EditorState _state;
+    private readonly NotificationService _notifications;
+    private readonly Dictionary<string, DateTime> _warned = new();
+    private DotNetObjectReference<PresenceService>? _reference;
+    private string? _sharedState;
+
+    public PresenceService(IJSRuntime js, EditorState state, NotificationService notifications)
+    {
+        _js = js;
+        _state = state;
+        _notifications = notifications;
+        _state.OnNodesEdited += HandleNodesEdited;
+    }
+
+    public IReadOnlyList<RemoteEditor> RemoteEditors { get; private set; } = Array.Empty<RemoteEditor>();
+
+    public event Action? Changed;
+
+    /// <summary>
+    /// Start sharing presence. Needs the canvas to be initialised.
+    /// </summary>
+    public async Task StartAsync()
+    {
+        _reference ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.initPresence", _reference);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+        }
+    }
+
+    /// <summary>
+    /// Share the tab, selection and tray of this editor, if they changed.
+    /// </summary>
+    public async Task UpdateAsync(string? flowId, IReadOnlyList<string> selection, string? editing)
+    {
+        var shared = $"{flowId}|{string.Join(",", selection)}|{editing}";
+        if (shared == _sharedState) return;
+        _sharedState = shared;
+        try
+        {
+            await _js.InvokeVoidAsync("nodeRedEditor.setPresenceState", new { flowId, selection, editing });
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException)
+        {
+            _sharedState = null;
+        }
+    }
+
+    [JSInvokable]
+    public void OnPresenceChanged(List<RemoteEditor> editors)
+    {
+        RemoteEditors = editors;
+        Changed?.Invoke();
+    }
+
+    private void HandleNodesEdited(IReadOnlyCollection<string> nodeIds)
+    {
+        foreach (var editor in RemoteEditors)
+        {
+            var editing = editor.Editing != null && nodeIds.Contains(editor.Editing) ? editor.Editing : null;
+            var nodeId = editing ?? editor.Selection.FirstOrDefault(nodeIds.Contains);
+            if (nodeId == null) continue;
+
+            var key = editor.ConnectionId + ":" + nodeId;
+            var now = DateTime.UtcNow;
+            if (_warned.TryGetValue(key, out var warnedAt) && now - warnedAt < WarningInterval) continue;
+            _warned[key] = now;
+
+            var node = _state.Nodes.FirstOrDefault(n => n.Id == nodeId);
+            var label = node == null ? "this node" : $"\"{node.Name ?? node.Label}\"";
+            var message = editing != null
+                ? $"{editor.Name} has {label} open in the editor"
+                : $"{editor.Name} has {label} selected";
+            _ = _notifications.NotifyAsync(message, "warning", 5000);
+        }
+    }
+
+    public void Dispose()
+    {
+        _state.OnNodesEdited -= HandleNodesEdited;
+        _reference?.Dispose();
+    }
+}
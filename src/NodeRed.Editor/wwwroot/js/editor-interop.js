@@ -28,17 +28,52 @@ window.nodeRedEditor = {
         connectionPort: null,
         lasso: false,
         lassoStart: { x: 0, y: 0 },
+        // 'replace', 'add' (Shift) or 'remove' (Ctrl/Alt)
+        lassoMode: 'replace',
+        // Wire or group the lasso started on, selected if it ends as a click
+        lassoTarget: null,
+        // Flow whose tab header the dragged nodes are over
+        dropFlowId: null,
         panning: false,
         panStartX: 0,
         panStartY: 0,
+        // View zoom; the chart's scroll position is the pan (see VIEW TRANSFORM)
         scale: 1.0,
-        offsetX: 0,
-        offsetY: 0,
         spacebarDown: false,
         mouseDownTime: 0,
         mouseDownPos: { x: 0, y: 0 },
         dragThreshold: 5,  // pixels before drag starts
-        hasMoved: false
+        hasMoved: false,
+        activePointerId: null,
+        lastPointerType: 'mouse',
+        // Touch gesture state (SOURCE: view.js touchstart/touchmove handling)
+        touches: {},
+        gestureActive: false,
+        pinch: null,
+        longPressTimer: null,
+        longPressTimeout: 500,  // touchLongPressTimeout in view.js
+        // Last known pointer position in canvas coordinates (view.js mouse_position)
+        lastPointerPos: null,
+        // Grid settings, pushed from EditorState by setGridSettings
+        gridSize: 20,
+        snapGrid: true,
+        // Alt held during the current drag - place freely, no snap or guides
+        snapBypass: false,
+        dragNodeSize: null,
+        alignTargets: null,
+        // Wire editing: splice target under a dragged node, shift+drag pickup
+        spliceEligible: false,
+        spliceWireKey: null,
+        pickup: null,
+        // Keyboard wiring: { sourceId, port, outputs } (see KEYBOARD NAVIGATION)
+        keyboardWire: null,
+        // Locally rendered drag state (see DRAG RENDERING)
+        pointer: null,
+        frame: null,
+        dragSet: null,
+        dragWires: null,
+        dragPosition: null,
+        dragLines: null
     },
 
     // Initialize canvas event listeners
@@ -70,11 +105,31 @@ window.nodeRedEditor = {
         
         // ============================================================
         // SOURCE: view.js lines 250-280 - mousedown handling
+        // Pointer Events cover mouse, pen and touch. The canvas captures
+        // the pointer so a release outside the chart still ends the drag.
         // ============================================================
-        canvasElement.addEventListener('mousedown', function(e) {
-            const rect = canvasElement.getBoundingClientRect();
-            const x = (e.clientX - rect.left) / self.state.scale;
-            const y = (e.clientY - rect.top) / self.state.scale;
+        canvasElement.addEventListener('pointerdown', function(e) {
+            self.state.lastPointerType = e.pointerType;
+            if (e.pointerType === 'touch') {
+                self.state.touches[e.pointerId] = { x: e.clientX, y: e.clientY };
+                const touchCount = Object.keys(self.state.touches).length;
+                if (touchCount === 2) {
+                    // Second finger - abandon the single-finger action and pinch/pan
+                    self.cancelCanvasInteraction();
+                    self.startTouchGesture();
+                    return;
+                }
+                if (touchCount > 2 || self.state.gestureActive) return;
+            } else if (self.state.activePointerId !== null) {
+                return;
+            }
+
+            self.hideRadialMenu();
+            self.state.activePointerId = e.pointerId;
+            canvasElement.setPointerCapture(e.pointerId);
+
+            const { x, y } = self.clientToCanvas(e.clientX, e.clientY);
+            self.state.lastPointerPos = { x: x, y: y };
             
             self.state.mouseDownTime = Date.now();
             self.state.mouseDownPos = { x: e.clientX, y: e.clientY };
@@ -90,10 +145,29 @@ window.nodeRedEditor = {
                 return;
             }
             
-            if (e.button === 0) { // Left click
+            if (e.button === 0) { // Left click, pen contact or single finger
                 // Check if clicking on a port (output)
                 const portElement = e.target.closest('.red-ui-flow-port');
                 const nodeElement = e.target.closest('.red-ui-workspace-node');
+
+                if (e.pointerType === 'touch' && !portElement) {
+                    self.startLongPress(e.clientX, e.clientY, nodeElement);
+                }
+
+                // Shift+drag on a wired port picks its wires up
+                if (portElement && nodeElement && e.shiftKey) {
+                    const nodeId = nodeElement.getAttribute('data-node-id') || '';
+                    const portType = portElement.classList.contains('red-ui-flow-port-output') ? 'output' : 'input';
+                    const portIndex = parseInt(portElement.getAttribute('data-port-index') || '0');
+                    const wires = self.getPortWires(nodeId, portType, portIndex);
+                    if (wires.length > 0) {
+                        self.state.connecting = true;
+                        self.state.pickup = { portType: portType };
+                        self.startPickupLines(wires, portType);
+                        dotNetRef.invokeMethodAsync('OnWirePickupStart', nodeId, portType, portIndex, x, y);
+                        return;
+                    }
+                }
                 
                 if (portElement && nodeElement && portElement.classList.contains('red-ui-flow-port-output')) {
                     // Output port - start wire drawing
@@ -102,6 +176,10 @@ window.nodeRedEditor = {
                     self.state.connectionPort = portElement;
                     const nodeId = nodeElement.getAttribute('data-node-id') || '';
                     const portIndex = parseInt(portElement.getAttribute('data-port-index') || '0');
+                    self.state.dragLines = [{
+                        fixed: self.getPortPosition(nodeElement, 'output', portIndex),
+                        fromFixed: true
+                    }];
                     dotNetRef.invokeMethodAsync('OnWireDrawStart', nodeId, portIndex, x, y);
                     return;
                 }
@@ -110,88 +188,156 @@ window.nodeRedEditor = {
                     // Clicked on a node - prepare for potential drag
                     self.state.dragNode = nodeElement;
                     self.state.dragNodeId = nodeElement.getAttribute('data-node-id') || '';
-                    self.state.dragStartX = e.clientX;
-                    self.state.dragStartY = e.clientY;
+                    // Canvas coordinates, so scrolling mid-drag moves the node too
+                    self.state.dragStartX = x;
+                    self.state.dragStartY = y;
                     
-                    // Get current node position from transform
-                    const transform = nodeElement.getAttribute('transform') || '';
-                    const match = transform.match(/translate\(([+-]?\d*\.?\d+),\s*([+-]?\d*\.?\d+)\)/);
-                    if (match) {
-                        self.state.dragStartNodeX = parseFloat(match[1]);
-                        self.state.dragStartNodeY = parseFloat(match[2]);
-                    }
+                    const nodeBox = self.getNodeBox(nodeElement);
+                    self.state.dragStartNodeX = nodeBox.x;
+                    self.state.dragStartNodeY = nodeBox.y;
                     
                     // Don't start dragging yet - wait for threshold
                     return;
                 }
+
+                if (e.pointerType === 'touch') {
+                    // One finger on empty canvas scrolls the view, as it does upstream
+                    self.state.panning = true;
+                    self.state.panStartX = e.clientX;
+                    self.state.panStartY = e.clientY;
+                    return;
+                }
                 
-                // Clicked on empty canvas - start lasso selection
+                // Clicked on empty canvas, a wire or a group - start lasso
+                // selection. Shift adds to the selection, Ctrl (Cmd) or Alt
+                // takes away from it.
                 self.state.lasso = true;
                 self.state.lassoStart = { x: x, y: y };
-                dotNetRef.invokeMethodAsync('OnLassoStart', x, y);
+                self.state.lassoMode = e.shiftKey ? 'add'
+                    : (e.ctrlKey || e.metaKey || e.altKey) ? 'remove'
+                    : 'replace';
+                const wire = e.target.closest('.red-ui-flow-link-background, .red-ui-workspace-wire');
+                const group = e.target.closest('.red-ui-flow-group');
+                self.state.lassoTarget = wire ? { wireKey: wire.getAttribute('data-wire-key') || '' }
+                    : group ? { groupId: group.getAttribute('data-group-id') || '' }
+                    : null;
             }
         });
 
         // ============================================================
         // SOURCE: view.js lines 300-350 - mousemove handling
         // ============================================================
-        canvasElement.addEventListener('mousemove', function(e) {
-            const rect = canvasElement.getBoundingClientRect();
-            const x = (e.clientX - rect.left) / self.state.scale;
-            const y = (e.clientY - rect.top) / self.state.scale;
-            
-            // Check if we've moved past the drag threshold
-            if (!self.state.hasMoved && self.state.dragNode) {
+        canvasElement.addEventListener('pointermove', function(e) {
+            if (e.pointerType === 'touch' && self.state.touches[e.pointerId]) {
+                self.state.touches[e.pointerId] = { x: e.clientX, y: e.clientY };
+                if (self.state.gestureActive) {
+                    self.updateTouchGesture();
+                    return;
+                }
+            }
+
+            self.state.lastPointerPos = self.clientToCanvas(e.clientX, e.clientY);
+
+            if (e.pointerId !== self.state.activePointerId) return;
+
+            if (!self.state.hasMoved) {
                 const dx = Math.abs(e.clientX - self.state.mouseDownPos.x);
                 const dy = Math.abs(e.clientY - self.state.mouseDownPos.y);
                 if (dx > self.state.dragThreshold || dy > self.state.dragThreshold) {
                     self.state.hasMoved = true;
-                    self.state.dragging = true;
-                    dotNetRef.invokeMethodAsync('OnNodeDragStart', self.state.dragNodeId, 
-                        self.state.dragStartNodeX, self.state.dragStartNodeY);
+                    self.clearLongPress();
+                    // Check if we've moved past the drag threshold
+                    if (self.state.dragNode) {
+                        // Alt+drag pulls the node out of its wires first; Ctrl
+                        // stays with toggling the selection
+                        const detach = e.altKey;
+                        self.state.dragging = true;
+                        self.startDragSelection();
+                        self.collectAlignmentTargets();
+                        self.state.spliceEligible = self.state.dragSet.length === 1 &&
+                            self.canSpliceNode(self.state.dragNode, detach);
+                        dotNetRef.invokeMethodAsync('OnNodeDragStart', self.state.dragNodeId, 
+                            self.state.dragStartNodeX, self.state.dragStartNodeY, detach);
+                    }
                 }
             }
             
-            if (self.state.dragging && self.state.dragNode) {
-                const dx = (e.clientX - self.state.dragStartX) / self.state.scale;
-                const dy = (e.clientY - self.state.dragStartY) / self.state.scale;
-                const newX = Math.round((self.state.dragStartNodeX + dx) / 20) * 20;
-                const newY = Math.round((self.state.dragStartNodeY + dy) / 20) * 20;
-                dotNetRef.invokeMethodAsync('OnNodeDrag', self.state.dragNodeId, newX, newY);
-            } else if (self.state.connecting) {
-                dotNetRef.invokeMethodAsync('OnWireDraw', x, y);
-            } else if (self.state.lasso) {
-                dotNetRef.invokeMethodAsync('OnLassoDraw', 
-                    self.state.lassoStart.x, self.state.lassoStart.y, x, y);
-            } else if (self.state.panning) {
+            if (self.state.dragging) {
+                self.updateTabDropTarget(e.clientX, e.clientY);
+            }
+            if (self.state.dragging || self.state.connecting || self.state.lasso) {
+                // Shift turns snapping and alignment off, as in Node-RED
+                self.state.snapBypass = e.shiftKey;
+                self.updateCanvasInteraction(e.clientX, e.clientY);
+                self.updateAutoScroll(e.clientX, e.clientY);
+            } else if (self.state.panning && self.state.hasMoved) {
                 const dx = e.clientX - self.state.panStartX;
                 const dy = e.clientY - self.state.panStartY;
                 self.state.panStartX = e.clientX;
                 self.state.panStartY = e.clientY;
-                dotNetRef.invokeMethodAsync('OnCanvasPan', dx, dy);
+                self.panCanvas(dx, dy);
             }
         });
 
         // ============================================================
         // SOURCE: view.js lines 360-400 - mouseup handling
         // ============================================================
-        canvasElement.addEventListener('mouseup', function(e) {
-            const rect = canvasElement.getBoundingClientRect();
-            const x = (e.clientX - rect.left) / self.state.scale;
-            const y = (e.clientY - rect.top) / self.state.scale;
+        canvasElement.addEventListener('pointerup', function(e) {
+            if (e.pointerType === 'touch') {
+                delete self.state.touches[e.pointerId];
+                if (self.state.gestureActive) {
+                    // Stay in gesture mode until every finger has lifted
+                    if (Object.keys(self.state.touches).length === 0) {
+                        self.state.gestureActive = false;
+                        self.state.pinch = null;
+                    }
+                    return;
+                }
+            }
+            if (e.pointerId !== self.state.activePointerId) return;
+            self.state.activePointerId = null;
+            self.clearLongPress();
+
+            if (self.radialMenu) {
+                // Long-press menu is open - releasing over an option selects it
+                const under = document.elementFromPoint(e.clientX, e.clientY);
+                const option = under?.closest('.red-ui-editor-radial-menu-opt');
+                if (option) {
+                    option.click();
+                }
+                self.resetCanvasState();
+                return;
+            }
+
+            const { x, y } = self.clientToCanvas(e.clientX, e.clientY);
+
+            // Draw the last position and send queued updates ahead of the result
+            self.renderInteractionFrame();
+            self.flushInterop();
             
-            if (self.state.dragging) {
-                dotNetRef.invokeMethodAsync('OnNodeDragEnd', self.state.dragNodeId, x, y);
-                self.state.dragging = false;
-                self.state.dragNode = null;
-                self.state.dragNodeId = null;
+            if (self.state.pickup) {
+                // Picked-up wires only attach to the same kind of port
+                const under = document.elementFromPoint(e.clientX, e.clientY);
+                const port = under?.closest('.red-ui-flow-port-' + self.state.pickup.portType);
+                const targetNode = port?.closest('.red-ui-workspace-node');
+                dotNetRef.invokeMethodAsync('OnWirePickupEnd',
+                    targetNode?.getAttribute('data-node-id') || '',
+                    parseInt(port?.getAttribute('data-port-index') || '0'),
+                    false);
+            } else if (self.state.dragging && self.state.dropFlowId) {
+                // Dropped on another tab - the nodes move to that flow from
+                // where they started
+                self.moveDragSelection(0, 0);
+                dotNetRef.invokeMethodAsync('OnNodeDragToFlow', self.state.dragNodeId, self.state.dropFlowId);
+            } else if (self.state.dragging) {
+                const pos = self.state.dragPosition ||
+                    { x: self.state.dragStartNodeX, y: self.state.dragStartNodeY };
+                dotNetRef.invokeMethodAsync('OnNodeDragEnd', self.state.dragNodeId, pos.x, pos.y);
             } else if (self.state.dragNode && !self.state.hasMoved) {
                 // Click without drag - select the node
                 const shiftKey = e.shiftKey;
                 const ctrlKey = e.ctrlKey || e.metaKey;
                 dotNetRef.invokeMethodAsync('OnNodeClick', self.state.dragNodeId, shiftKey, ctrlKey);
-                self.state.dragNode = null;
-                self.state.dragNodeId = null;
             } else if (self.state.connecting) {
                 // Check if over an input port
                 const targetPort = document.elementFromPoint(e.clientX, e.clientY);
@@ -204,47 +350,83 @@ window.nodeRedEditor = {
                     } else {
                         dotNetRef.invokeMethodAsync('OnWireDrawEnd', '', 0, false);
                     }
+                } else if (!targetPort?.closest('.red-ui-workspace-node')) {
+                    // Released on empty canvas - offer to add a node on the end of the wire
+                    dotNetRef.invokeMethodAsync('OnQuickAdd', x, y, e.clientX, e.clientY, true);
                 } else {
                     dotNetRef.invokeMethodAsync('OnWireDrawEnd', '', 0, false);
                 }
-                self.state.connecting = false;
-                self.state.connectionSource = null;
             } else if (self.state.lasso) {
-                dotNetRef.invokeMethodAsync('OnLassoEnd', 
-                    self.state.lassoStart.x, self.state.lassoStart.y, x, y);
-                self.state.lasso = false;
+                const target = self.state.hasMoved ? null : self.state.lassoTarget;
+                const ctrlKey = e.ctrlKey || e.metaKey;
+                if (target && target.wireKey) {
+                    dotNetRef.invokeMethodAsync('OnWireClick', target.wireKey, e.shiftKey, ctrlKey);
+                } else if (target && target.groupId) {
+                    dotNetRef.invokeMethodAsync('OnGroupClick', target.groupId, e.shiftKey, ctrlKey);
+                } else {
+                    dotNetRef.invokeMethodAsync('OnLassoEnd',
+                        self.state.lassoStart.x, self.state.lassoStart.y, x, y, self.state.lassoMode);
+                    if (!self.state.hasMoved && ctrlKey) {
+                        // Ctrl+click on empty canvas - quick-add a node there
+                        dotNetRef.invokeMethodAsync('OnQuickAdd', x, y, e.clientX, e.clientY, false);
+                    }
+                }
             } else if (self.state.panning) {
-                self.state.panning = false;
                 canvasElement.style.cursor = self.state.spacebarDown ? 'grab' : 'crosshair';
+                if (e.pointerType === 'touch' && !self.state.hasMoved) {
+                    // Tap on empty canvas - deselect all
+                    dotNetRef.invokeMethodAsync('OnCanvasClick');
+                }
             } else if (!self.state.hasMoved) {
                 // Click on empty canvas - deselect all
                 dotNetRef.invokeMethodAsync('OnCanvasClick');
             }
             
-            self.state.dragNode = null;
-            self.state.hasMoved = false;
+            self.resetCanvasState();
+        });
+
+        // The browser took the pointer away (palm rejection, system gesture,
+        // alert dialog...) - end whatever was in progress rather than leave
+        // the canvas stuck in dragging/connecting mode.
+        canvasElement.addEventListener('pointercancel', function(e) {
+            if (e.pointerType === 'touch') {
+                delete self.state.touches[e.pointerId];
+                if (Object.keys(self.state.touches).length === 0) {
+                    self.state.gestureActive = false;
+                    self.state.pinch = null;
+                }
+            }
+            if (e.pointerId === self.state.activePointerId) {
+                self.cancelCanvasInteraction();
+            }
+        });
+
+        canvasElement.addEventListener('lostpointercapture', function(e) {
+            if (e.pointerId === self.state.activePointerId) {
+                self.cancelCanvasInteraction();
+            }
         });
 
         // ============================================================
-        // SOURCE: view.js lines 420-450 - wheel handling (zoom)
+        // SOURCE: view.js lines 420-450 - wheel handling
+        // ============================================================
+        // Ctrl/Cmd+wheel zooms at the pointer. Trackpad pinches arrive
+        // as wheel events with ctrlKey set, so they zoom too. Anything
+        // else - a mouse wheel or two-finger trackpad scroll - pans.
         // ============================================================
         canvasElement.addEventListener('wheel', function(e) {
             e.preventDefault();
-            const rect = canvasElement.getBoundingClientRect();
-            const mouseX = e.clientX - rect.left;
-            const mouseY = e.clientY - rect.top;
-            
-            const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            const newScale = Math.max(0.25, Math.min(2.0, self.state.scale * delta));
-            
-            // Zoom towards mouse position
-            const scaleChange = newScale / self.state.scale;
-            self.state.offsetX = mouseX - (mouseX - self.state.offsetX) * scaleChange;
-            self.state.offsetY = mouseY - (mouseY - self.state.offsetY) * scaleChange;
-            self.state.scale = newScale;
-            
-            dotNetRef.invokeMethodAsync('OnCanvasZoom', 
-                self.state.scale, self.state.offsetX, self.state.offsetY);
+            const delta = self.normalizeWheelDelta(e);
+            if (e.ctrlKey || e.metaKey) {
+                const step = Math.max(-self.wheelZoomLimit, Math.min(self.wheelZoomLimit, delta.y));
+                self.zoomView(self.state.scale * Math.exp(-step * self.wheelZoomRate),
+                    e.clientX, e.clientY);
+            } else if (e.shiftKey && !delta.x) {
+                // Shift+wheel scrolls sideways on a mouse without a tilt wheel
+                self.panCanvas(-delta.y, 0);
+            } else {
+                self.panCanvas(-delta.x, -delta.y);
+            }
         }, { passive: false });
 
         // ============================================================
@@ -252,13 +434,20 @@ window.nodeRedEditor = {
         // ============================================================
         canvasElement.addEventListener('contextmenu', function(e) {
             e.preventDefault();
-            const rect = canvasElement.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const targetNode = e.target.closest('.red-ui-workspace-node');
-            dotNetRef.invokeMethodAsync('OnContextMenu', 
-                targetNode?.dataset.nodeId || '', x, y);
+            // Touch long-press opens the radial menu instead
+            if (self.state.lastPointerType === 'touch') return;
+            let clientX = e.clientX;
+            let clientY = e.clientY;
+            if (e.button !== 2 && clientX === 0 && clientY === 0) {
+                // Opened from the keyboard (context menu key, shift+F10):
+                // put it by the focused element
+                const rect = e.target.getBoundingClientRect();
+                clientX = rect.left + rect.width / 2;
+                clientY = rect.top + rect.height / 2;
+            }
+            const point = self.clientToCanvas(clientX, clientY);
+            dotNetRef.invokeMethodAsync('OnContextMenu', self.getContextMenuTarget(e.target),
+                point.x, point.y, clientX, clientY);
         });
 
         // Double-click handling
@@ -271,328 +460,3620 @@ window.nodeRedEditor = {
         });
     },
 
-    // Set canvas transform
-    setCanvasTransform: function(canvasElement, scale, offsetX, offsetY) {
-        this.state.scale = scale;
-        this.state.offsetX = offsetX;
-        this.state.offsetY = offsetY;
-        
-        const svg = canvasElement?.querySelector('svg');
-        if (svg) {
-            svg.style.transform = `scale(${scale}) translate(${offsetX}px, ${offsetY}px)`;
-            svg.style.transformOrigin = '0 0';
-        }
+    // Clear per-interaction flags once a pointer sequence has finished
+    resetCanvasState: function() {
+        this.stopAutoScroll();
+        this.state.dragging = false;
+        this.state.dragNode = null;
+        this.state.dragNodeId = null;
+        this.state.connecting = false;
+        this.state.connectionSource = null;
+        this.state.connectionPort = null;
+        this.state.lasso = false;
+        this.state.lassoTarget = null;
+        this.state.panning = false;
+        this.state.hasMoved = false;
+        this.state.snapBypass = false;
+        this.state.dragNodeSize = null;
+        this.state.alignTargets = null;
+        this.state.spliceEligible = false;
+        this.state.spliceWireKey = null;
+        this.state.pickup = null;
+        this.cancelInteractionFrame();
+        this.state.pointer = null;
+        this.state.dragSet = null;
+        this.state.dragWires = null;
+        this.state.dragPosition = null;
+        this.state.dragLines = null;
+        this.drawAlignmentGuides([]);
+        this.clearDragLayer();
+        this.clearTabDropTarget();
     },
 
-    // Reset canvas view
-    resetView: function(canvasElement) {
-        this.state.scale = 1.0;
-        this.state.offsetX = 0;
-        this.state.offsetY = 0;
-        this.setCanvasTransform(canvasElement, 1.0, 0, 0);
+    // Abort whatever the active pointer was doing, telling .NET so its
+    // drag/wire/lasso state is cleared too. Called on pointercancel, on
+    // lost capture and when a second finger turns the touch into a gesture.
+    cancelCanvasInteraction: function() {
+        const state = this.state;
+        const dotNetRef = this.dotNetRef;
+
+        this.clearLongPress();
+        if (state.activePointerId !== null && this.canvasElement?.hasPointerCapture(state.activePointerId)) {
+            this.canvasElement.releasePointerCapture(state.activePointerId);
+        }
+        state.activePointerId = null;
+
+        this.cancelInteractionFrame();
+        this.flushInterop();
+        if (dotNetRef) {
+            if (state.pickup) {
+                dotNetRef.invokeMethodAsync('OnWirePickupEnd', '', 0, true);
+            } else if (state.dragging) {
+                // Dropped where it is - don't splice into a wire it happens to be over
+                if (state.spliceWireKey) {
+                    dotNetRef.invokeMethodAsync('OnWireSpliceHover', null);
+                }
+                // Back to where the drag started
+                this.moveDragSelection(0, 0);
+                dotNetRef.invokeMethodAsync('OnNodeDragEnd', state.dragNodeId,
+                    state.dragStartNodeX, state.dragStartNodeY);
+            } else if (state.connecting) {
+                dotNetRef.invokeMethodAsync('OnWireDrawEnd', '', 0, false);
+            } else if (state.lasso) {
+                // Zero-sized lasso that only adds - ends the selection without changing it
+                dotNetRef.invokeMethodAsync('OnLassoEnd',
+                    state.lassoStart.x, state.lassoStart.y, state.lassoStart.x, state.lassoStart.y, 'add');
+            }
+        }
+        if (state.panning && this.canvasElement) {
+            this.canvasElement.style.cursor = state.spacebarDown ? 'grab' : 'crosshair';
+        }
+        this.resetCanvasState();
     },
 
     // ============================================================
-    // KEYBOARD SHORTCUTS
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/keyboard.js
-    // Lines: 50-200 (shortcut definitions)
+    // VIEW TRANSFORM
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (zoomView, zoomZero, reveal)
+    // ============================================================
+    // As upstream, zooming resizes the svg - its viewBox keeps the
+    // canvas size, so everything inside scales with it - and panning
+    // is the chart's scroll position. A canvas point (x, y) is shown
+    // at chart pixel (x * scale - scrollLeft, y * scale - scrollTop).
+    // Every handler converts through clientToCanvas/canvasToClient.
     // ============================================================
-    
-    keyboardShortcuts: {},
-    dotNetRef: null,
 
-    initKeyboard: function(dotNetRef) {
-        this.dotNetRef = dotNetRef;
-        const self = this;
+    minScale: 0.25,
+    maxScale: 2.0,
+    // Screen pixels kept clear around nodes by zoomToFit/zoomToSelection
+    fitPadding: 40,
+    // ctrl+wheel zoom: exp(-deltaY * rate), with deltaY capped so a
+    // mouse wheel notch zooms by about a fifth while pinches stay smooth
+    wheelZoomRate: 0.005,
+    wheelZoomLimit: 50,
 
-        // ============================================================
-        // SOURCE: keyboard.js lines 100-180 - key mappings
-        // ============================================================
-        document.addEventListener('keydown', function(e) {
-            // Don't trigger shortcuts when typing in inputs
-            if (e.target.tagName === 'INPUT' || 
-                e.target.tagName === 'TEXTAREA' || 
-                e.target.isContentEditable) {
-                // But still handle Escape
-                if (e.key === 'Escape') {
-                    dotNetRef.invokeMethodAsync('OnKeyboardShortcut', 'escape');
-                }
-                return;
-            }
+    // Convert a viewport position to canvas coordinates
+    clientToCanvas: function(clientX, clientY) {
+        const el = this.canvasElement;
+        const rect = el.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left + el.scrollLeft) / this.state.scale,
+            y: (clientY - rect.top + el.scrollTop) / this.state.scale
+        };
+    },
 
-            const key = e.key.toLowerCase();
-            const ctrl = e.ctrlKey || e.metaKey;
-            const shift = e.shiftKey;
-            const alt = e.altKey;
-
-            let shortcut = '';
-            if (ctrl) shortcut += 'ctrl+';
-            if (shift) shortcut += 'shift+';
-            if (alt) shortcut += 'alt+';
-            shortcut += key;
-
-            // ============================================================
-            // Node-RED keyboard shortcuts (from keyboard.js)
-            // ============================================================
-            const shortcuts = {
-                'ctrl+a': 'selectAll',
-                'ctrl+c': 'copy',
-                'ctrl+x': 'cut',
-                'ctrl+v': 'paste',
-                'ctrl+z': 'undo',
-                'ctrl+shift+z': 'redo',
-                'ctrl+y': 'redo',
-                'delete': 'deleteSelected',
-                'backspace': 'deleteSelected',
-                'ctrl+d': 'deploy',
-                'ctrl+shift+d': 'deployModified',
-                'ctrl+i': 'import',
-                'ctrl+e': 'export',
-                'ctrl+f': 'search',
-                'ctrl+shift+p': 'managePalette',
-                'escape': 'escape',
-                'tab': 'nextTab',
-                'shift+tab': 'prevTab',
-                'ctrl+shift+j': 'showDebug',
-                'ctrl+g i': 'showInfo',
-                'ctrl+g c': 'showConfig',
-                '+': 'zoomIn',
-                '=': 'zoomIn',
-                '-': 'zoomOut',
-                'ctrl+0': 'zoomReset',
-                'arrowup': 'moveUp',
-                'arrowdown': 'moveDown',
-                'arrowleft': 'moveLeft',
-                'arrowright': 'moveRight',
-                'shift+arrowup': 'moveUpFine',
-                'shift+arrowdown': 'moveDownFine',
-                'shift+arrowleft': 'moveLeftFine',
-                'shift+arrowright': 'moveRightFine'
-            };
+    // Convert canvas coordinates to a viewport position
+    canvasToClient: function(x, y) {
+        const el = this.canvasElement;
+        const rect = el.getBoundingClientRect();
+        return {
+            x: x * this.state.scale - el.scrollLeft + rect.left,
+            y: y * this.state.scale - el.scrollTop + rect.top
+        };
+    },
 
-            if (shortcuts[shortcut]) {
-                e.preventDefault();
-                dotNetRef.invokeMethodAsync('OnKeyboardShortcut', shortcuts[shortcut]);
-            }
-        });
+    // Size the svg for the current scale. Workspace.razor renders it
+    // at scale 1 and never changes the size, so this isn't undone.
+    applyViewTransform: function() {
+        const svg = this.canvasElement?.querySelector('.red-ui-workspace-chart-svg');
+        const viewBox = svg?.viewBox?.baseVal;
+        if (!viewBox || !viewBox.width) return;
+        svg.setAttribute('width', viewBox.width * this.state.scale);
+        svg.setAttribute('height', viewBox.height * this.state.scale);
+    },
 
-        document.addEventListener('keyup', function(e) {
-            if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Meta') {
-                dotNetRef.invokeMethodAsync('OnModifierKeyUp', e.key.toLowerCase());
+    // Zoom keeping the canvas point under (clientX, clientY) where it
+    // is; without a point, the centre of the chart stays put
+    zoomView: function(scale, clientX, clientY) {
+        const el = this.canvasElement;
+        if (!el) return;
+        scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+        const rect = el.getBoundingClientRect();
+        const anchorX = clientX === undefined ? el.clientWidth / 2 : clientX - rect.left;
+        const anchorY = clientY === undefined ? el.clientHeight / 2 : clientY - rect.top;
+        const point = {
+            x: (el.scrollLeft + anchorX) / this.state.scale,
+            y: (el.scrollTop + anchorY) / this.state.scale
+        };
+        this.setView(scale, point.x * scale - anchorX, point.y * scale - anchorY);
+    },
+
+    // Apply a scale and chart scroll position, and tell .NET. The
+    // scroll is reported as a pan like any other.
+    setView: function(scale, scrollLeft, scrollTop) {
+        const el = this.canvasElement;
+        const left = el.scrollLeft;
+        const top = el.scrollTop;
+        const changed = scale !== this.state.scale;
+        this.state.scale = scale;
+        this.applyViewTransform();
+        el.scrollLeft = Math.max(0, scrollLeft);
+        el.scrollTop = Math.max(0, scrollTop);
+        if (el.scrollLeft !== left || el.scrollTop !== top) {
+            this.queuePanReport(left - el.scrollLeft, top - el.scrollTop);
+        }
+        this.updateNavigator();
+        if (changed) {
+            this.dotNetRef?.invokeMethodAsync('OnCanvasZoom', scale);
+        }
+    },
+
+    // Scale (capped at 1) and scroll so a canvas rectangle fills the chart
+    fitView: function(bounds) {
+        const el = this.canvasElement;
+        if (!el || !bounds) return;
+        const padding = this.fitPadding;
+        const scale = Math.max(this.minScale, Math.min(1,
+            (el.clientWidth - padding * 2) / Math.max(1, bounds.width),
+            (el.clientHeight - padding * 2) / Math.max(1, bounds.height)));
+        this.setView(scale,
+            (bounds.x + bounds.width / 2) * scale - el.clientWidth / 2,
+            (bounds.y + bounds.height / 2) * scale - el.clientHeight / 2);
+    },
+
+    // Bounding box of nodes (and groups) in canvas coordinates
+    getElementBounds: function(elements) {
+        let bounds = null;
+        const self = this;
+        elements.forEach(function(element) {
+            const box = self.getNodeBox(element);
+            if (!bounds) {
+                bounds = { x: box.x, y: box.y, right: box.x + box.width, bottom: box.y + box.height };
+                return;
             }
+            bounds.x = Math.min(bounds.x, box.x);
+            bounds.y = Math.min(bounds.y, box.y);
+            bounds.right = Math.max(bounds.right, box.x + box.width);
+            bounds.bottom = Math.max(bounds.bottom, box.y + box.height);
         });
+        if (!bounds) return null;
+        return { x: bounds.x, y: bounds.y, width: bounds.right - bounds.x, height: bounds.bottom - bounds.y };
+    },
+
+    zoomToFit: function() {
+        const chart = this.canvasElement;
+        if (!chart) return;
+        this.fitView(this.getElementBounds(
+            chart.querySelectorAll('.red-ui-workspace-node, .red-ui-flow-group')));
+    },
+
+    // Falls back to everything when nothing is selected
+    zoomToSelection: function() {
+        const chart = this.canvasElement;
+        if (!chart) return;
+        const selected = chart.querySelectorAll(
+            '.red-ui-workspace-node.selected, .red-ui-flow-group.red-ui-flow-group-selected');
+        if (selected.length === 0) {
+            this.zoomToFit();
+            return;
+        }
+        this.fitView(this.getElementBounds(selected));
+    },
+
+    // Scroll a canvas rectangle into the middle of the chart unless it
+    // is already fully visible. Takes the model position rather than
+    // the element, which may not be rendered yet after a tab switch.
+    revealNode: function(x, y, width, height) {
+        const el = this.canvasElement;
+        if (!el) return;
+        const scale = this.state.scale;
+        const visible = x * scale >= el.scrollLeft &&
+            y * scale >= el.scrollTop &&
+            (x + width) * scale <= el.scrollLeft + el.clientWidth &&
+            (y + height) * scale <= el.scrollTop + el.clientHeight;
+        if (visible) return;
+        this.setView(scale,
+            (x + width / 2) * scale - el.clientWidth / 2,
+            (y + height / 2) * scale - el.clientHeight / 2);
+    },
+
+    // Wheel deltas in pixels, whatever unit the device reports in
+    normalizeWheelDelta: function(e) {
+        let factor = 1;
+        if (e.deltaMode === 1) factor = 16;  // DOM_DELTA_LINE
+        else if (e.deltaMode === 2) factor = this.canvasElement?.clientHeight || 800;  // DOM_DELTA_PAGE
+        return { x: e.deltaX * factor, y: e.deltaY * factor };
+    },
+
+    // Note the pointer position of an active node drag, wire or lasso
+    // and draw it on the next animation frame. Also called by auto-scroll
+    // when the view moves under a pointer that is standing still.
+    updateCanvasInteraction: function(clientX, clientY) {
+        const state = this.state;
+        const { x, y } = this.clientToCanvas(clientX, clientY);
+        state.pointer = { x: x, y: y, clientX: clientX, clientY: clientY };
+        if (state.frame === null) {
+            state.frame = requestAnimationFrame(this.renderInteractionFrame.bind(this));
+        }
     },
 
     // ============================================================
-    // DRAG AND DROP (Palette to Canvas)
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/palette.js
-    // Lines: 150-200 (drag handling)
+    // DRAG RENDERING
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (canvasMouseMove / redraw while moving, drag_lines, lasso)
+    // ============================================================
+    // Moved nodes, their wires, the wire being drawn and the lasso are
+    // drawn here at most once per animation frame, without waiting for
+    // the server. .NET only hears about a drag through throttled
+    // OnNodeDrag updates and the final OnNodeDragEnd / OnWireDrawEnd /
+    // OnLassoEnd. Wire drag lines and the lasso live in the
+    // .red-ui-flow-drag-layer group, which Blazor renders empty.
     // ============================================================
-    
-    initPaletteDrag: function(paletteElement, canvasElement, dotNetRef) {
-        if (!paletteElement) return;
 
-        const self = this;
-        let dragData = null;
-        let dragPreview = null;
+    interopInterval: 150,  // ms between throttled updates to .NET
+    interopQueue: {},
+    interopTimer: null,
+    interopLastSent: 0,
 
-        paletteElement.addEventListener('dragstart', function(e) {
-            const nodeEl = e.target.closest('.red-ui-palette-node');
-            if (!nodeEl) return;
+    renderInteractionFrame: function() {
+        const state = this.state;
+        this.cancelInteractionFrame();
+        const p = state.pointer;
+        if (!p) return;
 
-            dragData = {
-                type: nodeEl.dataset.nodeType || '',
-                label: nodeEl.dataset.nodeLabel || '',
-                color: nodeEl.dataset.nodeColor || '#ddd',
-                inputs: parseInt(nodeEl.dataset.nodeInputs || '1'),
-                outputs: parseInt(nodeEl.dataset.nodeOutputs || '1')
-            };
+        if (state.dragging && state.dragNode && state.dragSet) {
+            const pos = this.alignDraggedNode(
+                state.dragStartNodeX + p.x - state.dragStartX,
+                state.dragStartNodeY + p.y - state.dragStartY);
+            const delta = this.moveDragSelection(pos.x - state.dragStartNodeX, pos.y - state.dragStartNodeY);
+            state.dragPosition = { x: state.dragStartNodeX + delta.x, y: state.dragStartNodeY + delta.y };
+            this.queueInterop('OnNodeDrag', [state.dragNodeId, state.dragPosition.x, state.dragPosition.y]);
+            if (state.spliceEligible) {
+                this.setSpliceWire(this.findWireAt(p.clientX, p.clientY, state.dragNodeId));
+            }
+        } else if (state.connecting) {
+            this.drawDragLines(p.x, p.y);
+        } else if (state.lasso) {
+            this.drawLasso(state.lassoStart, p);
+        }
+    },
 
-            // Create drag preview
-            dragPreview = document.createElement('div');
-            dragPreview.className = 'red-ui-palette-node-drag-preview';
-            dragPreview.style.cssText = `
-                position: fixed;
-                pointer-events: none;
-                background: ${dragData.color};
-                border: 1px solid #999;
-                border-radius: 5px;
-                padding: 5px 10px;
-                font-size: 12px;
-                z-index: 10000;
-                opacity: 0.8;
-            `;
-            dragPreview.textContent = dragData.type;
-            document.body.appendChild(dragPreview);
+    cancelInteractionFrame: function() {
+        if (this.state.frame !== null) {
+            cancelAnimationFrame(this.state.frame);
+            this.state.frame = null;
+        }
+    },
 
-            // Set drag image (invisible)
-            const img = new Image();
-            img.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-            e.dataTransfer.setDragImage(img, 0, 0);
-            e.dataTransfer.effectAllowed = 'copy';
-            e.dataTransfer.setData('text/plain', JSON.stringify(dragData));
+    // Queue a call to .NET, replacing any queued call of the same method.
+    // Queued calls go out at most once per interopInterval.
+    queueInterop: function(method, args) {
+        this.interopQueue[method] = args;
+        if (this.interopTimer === null) {
+            const wait = Math.max(0, this.interopLastSent + this.interopInterval - Date.now());
+            this.interopTimer = setTimeout(this.flushInterop.bind(this), wait);
+        }
+    },
 
-            dotNetRef.invokeMethodAsync('OnPaletteDragStart', dragData.type);
+    flushInterop: function() {
+        if (this.interopTimer !== null) {
+            clearTimeout(this.interopTimer);
+            this.interopTimer = null;
+        }
+        const queue = this.interopQueue;
+        this.interopQueue = {};
+        const dotNetRef = this.dotNetRef;
+        Object.keys(queue).forEach(function(method) {
+            dotNetRef?.invokeMethodAsync(method, ...queue[method]);
         });
+        this.interopLastSent = Date.now();
+    },
 
-        document.addEventListener('drag', function(e) {
-            if (dragPreview && e.clientX && e.clientY) {
-                dragPreview.style.left = (e.clientX + 10) + 'px';
-                dragPreview.style.top = (e.clientY + 10) + 'px';
-            }
+    // Snapshot what a node drag moves: the whole selection if the node
+    // is selected, otherwise just the node, plus every wire attached
+    startDragSelection: function() {
+        const state = this.state;
+        const self = this;
+        const chart = this.canvasElement;
+        const elements = state.dragNode.classList.contains('selected')
+            ? Array.from(chart.querySelectorAll('.red-ui-workspace-node.selected'))
+            : [state.dragNode];
+        if (elements.indexOf(state.dragNode) === -1) elements.push(state.dragNode);
+
+        state.dragSet = elements.map(function(element) {
+            return { element: element, id: element.getAttribute('data-node-id') || '', box: self.getNodeBox(element) };
         });
 
-        document.addEventListener('dragend', function(e) {
-            if (dragPreview) {
-                dragPreview.remove();
-                dragPreview = null;
-            }
-            dragData = null;
+        const moving = {};
+        state.dragSet.forEach(function(item) { moving[item.id] = item; });
+        const wires = {};
+        chart.querySelectorAll('.red-ui-flow-link-background').forEach(function(path) {
+            const data = path.dataset;
+            if (!moving[data.sourceId] && !moving[data.targetId]) return;
+            wires[data.wireKey] = {
+                elements: Array.from(chart.querySelectorAll('[data-wire-key="' + data.wireKey + '"]')),
+                source: self.getWireEnd(data.sourceId, 'output', parseInt(data.sourcePort), moving),
+                target: self.getWireEnd(data.targetId, 'input', parseInt(data.targetPort), moving)
+            };
         });
+        state.dragWires = Object.values(wires);
+    },
 
-        if (canvasElement) {
-            canvasElement.addEventListener('dragover', function(e) {
-                e.preventDefault();
-                e.dataTransfer.dropEffect = 'copy';
+    // One end of a wire being dragged: a fixed point, or an offset from a moving node
+    getWireEnd: function(nodeId, portType, portIndex, moving) {
+        const element = this.getNodeElement(nodeId);
+        const end = element ? this.getPortPosition(element, portType, portIndex) : { x: 0, y: 0 };
+        end.moving = moving[nodeId] || null;
+        return end;
+    },
+
+    // Move everything in the drag set by (dx, dy) from where it started,
+    // keeping it on the canvas. Returns the delta actually applied.
+    moveDragSelection: function(dx, dy) {
+        const state = this.state;
+        const self = this;
+        if (!state.dragSet) return { x: 0, y: 0 };
+
+        state.dragSet.forEach(function(item) {
+            dx = Math.max(dx, -item.box.x);
+            dy = Math.max(dy, -item.box.y);
+        });
+        state.dragSet.forEach(function(item) {
+            item.element.setAttribute('transform',
+                'translate(' + (item.box.x + dx) + ', ' + (item.box.y + dy) + ')');
+        });
+        state.dragWires.forEach(function(wire) {
+            const x1 = wire.source.x + (wire.source.moving ? dx : 0);
+            const y1 = wire.source.y + (wire.source.moving ? dy : 0);
+            const x2 = wire.target.x + (wire.target.moving ? dx : 0);
+            const y2 = wire.target.y + (wire.target.moving ? dy : 0);
+            const d = self.calculateWirePath(x1, y1, x2, y2, self.wireStyle);
+            wire.elements.forEach(function(element) {
+                element.setAttribute('d', d);
             });
+        });
+        return { x: dx, y: dy };
+    },
 
-            canvasElement.addEventListener('drop', function(e) {
-                e.preventDefault();
-                if (!dragData) return;
+    getNodeElement: function(nodeId) {
+        return this.canvasElement?.querySelector('.red-ui-workspace-node[data-node-id="' + nodeId + '"]') || null;
+    },
 
-                const rect = canvasElement.getBoundingClientRect();
-                const x = (e.clientX - rect.left) / self.state.scale - self.state.offsetX;
-                const y = (e.clientY - rect.top) / self.state.scale - self.state.offsetY;
+    // Canvas position of a port's wire end, from the node and port rects
+    getPortPosition: function(nodeElement, portType, portIndex) {
+        const box = this.getNodeBox(nodeElement);
+        const port = nodeElement.querySelector(
+            '.red-ui-flow-port-' + portType + '[data-port-index="' + portIndex + '"]');
+        const offsetY = port ? parseFloat(port.getAttribute('y')) + 5 : box.height / 2;
+        return {
+            x: portType === 'output' ? box.x + box.width : box.x,
+            y: box.y + offsetY
+        };
+    },
 
-                // Snap to grid (20px)
-                const snappedX = Math.round(x / 20) * 20;
-                const snappedY = Math.round(y / 20) * 20;
+    // Picked-up wires keep their far end and follow the pointer with the other
+    startPickupLines: function(wirePaths, portType) {
+        const self = this;
+        this.state.dragLines = wirePaths.map(function(path) {
+            const data = path.dataset;
+            const fromOutput = portType === 'output';
+            const element = self.getNodeElement(fromOutput ? data.targetId : data.sourceId);
+            return {
+                fixed: element
+                    ? self.getPortPosition(element, fromOutput ? 'input' : 'output',
+                        parseInt(fromOutput ? data.targetPort : data.sourcePort))
+                    : { x: 0, y: 0 },
+                fromFixed: !fromOutput
+            };
+        });
+    },
 
-                dotNetRef.invokeMethodAsync('OnNodeDropped', 
-                    dragData.type,
-                    dragData.label,
-                    dragData.color,
-                    dragData.inputs,
-                    dragData.outputs,
-                    snappedX,
-                    snappedY);
-            });
-        }
+    getDragLayer: function() {
+        return this.canvasElement?.querySelector('.red-ui-flow-drag-layer') || null;
     },
 
-    // Convenience function that takes a selector
-    initPaletteDragBySelector: function(paletteSelector, canvasElement, dotNetRef) {
-        const paletteElement = document.querySelector(paletteSelector);
-        this.initPaletteDrag(paletteElement, canvasElement, dotNetRef);
+    clearDragLayer: function() {
+        this.getDragLayer()?.replaceChildren();
     },
 
-    // ============================================================
-    // CLIPBOARD OPERATIONS
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/clipboard.js
-    // ============================================================
-    
-    clipboard: null,
+    // Get or create the index'th element of a kind in the drag layer
+    getDragLayerElement: function(tag, className, index) {
+        const layer = this.getDragLayer();
+        if (!layer) return null;
+        const existing = layer.querySelectorAll('.' + className);
+        if (existing[index]) return existing[index];
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        element.setAttribute('class', className);
+        layer.appendChild(element);
+        return element;
+    },
 
-    copyToClipboard: function(data) {
-        this.clipboard = data;
-        // Also copy to system clipboard as JSON
-        navigator.clipboard.writeText(JSON.stringify(data)).catch(() => {});
+    drawDragLines: function(x, y) {
+        const self = this;
+        (this.state.dragLines || []).forEach(function(line, index) {
+            const path = self.getDragLayerElement('path', 'red-ui-flow-drag-line', index);
+            if (!path) return;
+            const d = line.fromFixed
+                ? self.calculateWirePath(line.fixed.x, line.fixed.y, x, y, self.wireStyle)
+                : self.calculateWirePath(x, y, line.fixed.x, line.fixed.y, self.wireStyle);
+            path.setAttribute('d', d);
+        });
     },
 
-    pasteFromClipboard: function() {
-        return this.clipboard;
+    drawLasso: function(start, end) {
+        const rect = this.getDragLayerElement('rect', 'nr-ui-view-lasso', 0);
+        if (!rect) return;
+        rect.setAttribute('x', Math.min(start.x, end.x));
+        rect.setAttribute('y', Math.min(start.y, end.y));
+        rect.setAttribute('width', Math.abs(end.x - start.x));
+        rect.setAttribute('height', Math.abs(end.y - start.y));
     },
 
     // ============================================================
-    // NOTIFICATIONS
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/notifications.js
+    // GRID SNAPPING AND ALIGNMENT GUIDES
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (gridSize / snapGrid handling in moveSelection)
+    // ============================================================
+    // A dragged node lines up with the edges or centre of another node
+    // on the tab when it comes within guideThreshold pixels, and a guide
+    // line is drawn between the two. Otherwise it snaps to the grid, if
+    // snapping is on. Holding Alt places the node freely.
     // ============================================================
-    
-    notify: function(message, type, timeout) {
-        type = type || 'info';
-        timeout = timeout || 3000;
-
-        const container = document.querySelector('.red-ui-notifications') || 
-            (() => {
-                const el = document.createElement('div');
-                el.className = 'red-ui-notifications';
-                document.body.appendChild(el);
-                return el;
-            })();
 
-        const notification = document.createElement('div');
-        notification.className = `red-ui-notification red-ui-notification-${type}`;
-        notification.innerHTML = `
-            <span class="red-ui-notification-message">${message}</span>
-            <button class="red-ui-notification-close">&times;</button>
-        `;
+    guideThreshold: 8,  // screen pixels
 
-        notification.querySelector('.red-ui-notification-close').addEventListener('click', () => {
-            notification.remove();
-        });
+    setGridSettings: function(gridSize, snapGrid) {
+        this.state.gridSize = gridSize > 0 ? gridSize : 20;
+        this.state.snapGrid = !!snapGrid;
+    },
 
-        container.appendChild(notification);
+    snapToGrid: function(value) {
+        const gridSize = this.state.gridSize;
+        return Math.round(value / gridSize) * gridSize;
+    },
 
-        if (timeout > 0) {
-            setTimeout(() => {
-                notification.style.opacity = '0';
-                setTimeout(() => notification.remove(), 300);
-            }, timeout);
+    // Position and size of a rendered node, from its transform and body rect
+    getNodeBox: function(nodeElement) {
+        const box = { x: 0, y: 0, width: 120, height: 30 };
+        const transform = nodeElement.getAttribute('transform') || '';
+        const match = transform.match(/translate\(([+-]?\d*\.?\d+),\s*([+-]?\d*\.?\d+)\)/);
+        if (match) {
+            box.x = parseFloat(match[1]);
+            box.y = parseFloat(match[2]);
         }
+        const body = nodeElement.querySelector('.red-ui-flow-node, .red-ui-flow-group-body');
+        if (body) {
+            box.width = parseFloat(body.getAttribute('width')) || box.width;
+            box.height = parseFloat(body.getAttribute('height')) || box.height;
+        }
+        return box;
+    },
 
-        return notification;
+    // Snapshot the other nodes on the tab when a drag starts
+    collectAlignmentTargets: function() {
+        const state = this.state;
+        const self = this;
+        state.dragNodeSize = this.getNodeBox(state.dragNode);
+        state.alignTargets = [];
+        const moving = (state.dragSet || []).map(function(item) { return item.element; });
+        this.canvasElement?.querySelectorAll('.red-ui-workspace-node').forEach(function(element) {
+            if (element !== state.dragNode && moving.indexOf(element) === -1) {
+                state.alignTargets.push(self.getNodeBox(element));
+            }
+        });
     },
 
-    // ============================================================
-    // WIRE PATH CALCULATION
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
-    // Lines: 800-850 (bezier curve calculation)
-    // ============================================================
-    
-    calculateWirePath: function(x1, y1, x2, y2) {
-        const dx = Math.abs(x2 - x1);
-        const dy = Math.abs(y2 - y1);
-        
-        // Control point distance - matches Node-RED's algorithm
-        let cp = Math.max(75, dx / 2);
-        
-        // Adjust for backward wires
-        if (x2 < x1) {
-            cp = Math.max(75, Math.abs(dy) / 2);
+    // Where a node dragged to (x, y) should land, drawing any guides
+    alignDraggedNode: function(x, y) {
+        const state = this.state;
+        const size = state.dragNodeSize;
+        if (state.snapBypass || !size) {
+            this.drawAlignmentGuides([]);
+            return { x: Math.max(0, Math.round(x)), y: Math.max(0, Math.round(y)) };
         }
-        
-        return `M ${x1} ${y1} C ${x1 + cp} ${y1}, ${x2 - cp} ${y2}, ${x2} ${y2}`;
-    },
+
+        const threshold = this.guideThreshold / state.scale;
+        const targets = state.alignTargets || [];
+        const alignX = this.findAlignment(x, size.width, targets, 'x', 'width', threshold);
+        const alignY = this.findAlignment(y, size.height, targets, 'y', 'height', threshold);
+        const snap = state.snapGrid ? this.snapToGrid.bind(this) : Math.round;
+        x = alignX ? x + alignX.delta : snap(x);
+        y = alignY ? y + alignY.delta : snap(y);
+
+        const guides = [];
+        if (alignX) {
+            guides.push({
+                x1: alignX.value, x2: alignX.value,
+                y1: Math.min(y, alignX.target.y),
+                y2: Math.max(y + size.height, alignX.target.y + alignX.target.height)
+            });
+        }
+        if (alignY) {
+            guides.push({
+                y1: alignY.value, y2: alignY.value,
+                x1: Math.min(x, alignY.target.x),
+                x2: Math.max(x + size.width, alignY.target.x + alignY.target.width)
+            });
+        }
+        this.drawAlignmentGuides(guides);
+        return { x: Math.max(0, x), y: Math.max(0, y) };
+    },
+
+    // Closest edge-to-edge or centre-to-centre match along one axis
+    findAlignment: function(pos, length, targets, axis, extent, threshold) {
+        let best = null;
+        targets.forEach(function(target) {
+            const start = target[axis];
+            const end = start + target[extent];
+            const pairs = [
+                [pos, start], [pos, end],
+                [pos + length, start], [pos + length, end],
+                [pos + length / 2, start + target[extent] / 2]
+            ];
+            pairs.forEach(function(pair) {
+                const delta = pair[1] - pair[0];
+                if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { delta: delta, value: pair[1], target: target };
+                }
+            });
+        });
+        return best;
+    },
+
+    // Guides live in a group Blazor renders empty, so it never touches them
+    drawAlignmentGuides: function(guides) {
+        const layer = this.canvasElement?.querySelector('.red-ui-flow-guides');
+        if (!layer) return;
+        layer.replaceChildren();
+        guides.forEach(function(guide) {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('class', 'red-ui-flow-guide');
+            line.setAttribute('x1', guide.x1);
+            line.setAttribute('y1', guide.y1);
+            line.setAttribute('x2', guide.x2);
+            line.setAttribute('y2', guide.y2);
+            layer.appendChild(line);
+        });
+    },
+
+    // ============================================================
+    // WIRE SPLICING
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (spliceActive / spliceLink in canvasMouseMove)
+    // ============================================================
+    // A node with an input and an output and no wires can be dropped
+    // onto a wire to splice it in. The wire under the pointer is found
+    // through the wide .red-ui-flow-link-background paths, which carry
+    // the wire's ends as data attributes.
+    // ============================================================
+
+    canSpliceNode: function(nodeElement, detaching) {
+        if (!nodeElement.querySelector('.red-ui-flow-port-input') ||
+            !nodeElement.querySelector('.red-ui-flow-port-output')) {
+            return false;
+        }
+        const nodeId = nodeElement.getAttribute('data-node-id') || '';
+        return detaching || !this.getNodeWires(nodeId).length;
+    },
+
+    getNodeWires: function(nodeId) {
+        return Array.from(this.canvasElement?.querySelectorAll('.red-ui-flow-link-background') || [])
+            .filter(function(path) {
+                return path.dataset.sourceId === nodeId || path.dataset.targetId === nodeId;
+            });
+    },
+
+    getPortWires: function(nodeId, portType, portIndex) {
+        const end = portType === 'output' ? 'source' : 'target';
+        return this.getNodeWires(nodeId).filter(function(path) {
+            return path.dataset[end + 'Id'] === nodeId &&
+                parseInt(path.dataset[end + 'Port']) === portIndex;
+        });
+    },
+
+    // Key of the wire under a viewport position, ignoring wires of excludeNodeId
+    findWireAt: function(clientX, clientY, excludeNodeId) {
+        const hit = document.elementsFromPoint(clientX, clientY).find(function(el) {
+            return el.classList.contains('red-ui-flow-link-background') &&
+                el.dataset.sourceId !== excludeNodeId &&
+                el.dataset.targetId !== excludeNodeId;
+        });
+        return hit ? hit.dataset.wireKey : null;
+    },
+
+    // Tell .NET which wire to highlight, only when it changes
+    setSpliceWire: function(wireKey) {
+        if (wireKey === this.state.spliceWireKey) return;
+        this.state.spliceWireKey = wireKey;
+        // The highlight re-renders the chart, so send the drag position first
+        this.flushInterop();
+        this.dotNetRef?.invokeMethodAsync('OnWireSpliceHover', wireKey);
+    },
+
+    // ============================================================
+    // TABS
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/common/tabs.js
+    // ============================================================
+    // Nodes dragged onto another tab's header are dropped on that flow
+    // (OnNodeDragToFlow); the header lights up while they are over it.
+    // Tab headers themselves can be dragged along the bar to reorder
+    // them, with a marker at the gap they will drop into
+    // (OnTabReorder). .NET makes both changes, so they can be undone.
+    // ============================================================
+
+    tabDrag: null,
+    tabClickSuppressed: false,
+
+    initTabs: function(tabsElement, dotNetRef) {
+        if (!tabsElement) return;
+        const self = this;
+
+        tabsElement.addEventListener('pointerdown', function(e) {
+            if (e.button !== 0 || self.tabDrag) return;
+            const tab = e.target.closest('.red-ui-tab[data-flow-id]');
+            if (!tab) return;
+            self.tabDrag = { pointerId: e.pointerId, tab: tab, startX: e.clientX, moved: false, index: -1 };
+        });
+
+        tabsElement.addEventListener('pointermove', function(e) {
+            const drag = self.tabDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            if (!drag.moved) {
+                if (Math.abs(e.clientX - drag.startX) <= self.state.dragThreshold) return;
+                drag.moved = true;
+                tabsElement.setPointerCapture(e.pointerId);
+                drag.tab.setAttribute('data-dragging', '');
+            }
+            self.updateTabDropIndex(tabsElement, e.clientX);
+        });
+
+        const endDrag = function(e, drop) {
+            const drag = self.tabDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            self.tabDrag = null;
+            if (!drag.moved) return;
+            drag.tab.removeAttribute('data-dragging');
+            tabsElement.querySelectorAll('[data-drop-position]').forEach(function(el) {
+                el.removeAttribute('data-drop-position');
+            });
+            // Dropping a tab doesn't also select the tab under the pointer
+            self.tabClickSuppressed = true;
+            setTimeout(function() { self.tabClickSuppressed = false; }, 0);
+            if (drop && drag.index >= 0) {
+                dotNetRef.invokeMethodAsync('OnTabReorder', drag.tab.getAttribute('data-flow-id'), drag.index);
+            }
+        };
+        tabsElement.addEventListener('pointerup', function(e) { endDrag(e, true); });
+        tabsElement.addEventListener('pointercancel', function(e) { endDrag(e, false); });
+        tabsElement.addEventListener('click', function(e) {
+            if (self.tabClickSuppressed) {
+                e.stopPropagation();
+            }
+        }, true);
+    },
+
+    // The position among the other tabs the dragged one would drop into
+    updateTabDropIndex: function(tabsElement, clientX) {
+        const drag = this.tabDrag;
+        const tabs = Array.from(tabsElement.querySelectorAll('.red-ui-tab[data-flow-id]'))
+            .filter(function(tab) { return tab !== drag.tab; });
+        let index = 0;
+        while (index < tabs.length) {
+            const rect = tabs[index].getBoundingClientRect();
+            if (clientX < rect.left + rect.width / 2) break;
+            index++;
+        }
+        if (index === drag.index) return;
+        drag.index = index;
+        tabs.forEach(function(tab) { tab.removeAttribute('data-drop-position'); });
+        if (index < tabs.length) {
+            tabs[index].setAttribute('data-drop-position', 'before');
+        } else if (tabs.length > 0) {
+            tabs[tabs.length - 1].setAttribute('data-drop-position', 'after');
+        }
+    },
+
+    // Note the tab header, other than the current tab's, that dragged
+    // nodes are over
+    updateTabDropTarget: function(clientX, clientY) {
+        const under = document.elementFromPoint(clientX, clientY);
+        const tab = under && under.closest('.red-ui-tab[data-flow-id]:not(.active)');
+        const flowId = tab ? tab.getAttribute('data-flow-id') : null;
+        if (flowId === this.state.dropFlowId) return;
+        this.clearTabDropTarget();
+        if (tab) {
+            tab.setAttribute('data-drop-target', '');
+            this.state.dropFlowId = flowId;
+        }
+    },
+
+    clearTabDropTarget: function() {
+        if (this.state.dropFlowId === null) return;
+        this.state.dropFlowId = null;
+        document.querySelectorAll('.red-ui-tab[data-drop-target]').forEach(function(el) {
+            el.removeAttribute('data-drop-target');
+        });
+    },
+
+    // ============================================================
+    // EDGE AUTO-SCROLL
+    // ============================================================
+    // While dragging nodes, drawing a wire or lassoing, holding the
+    // pointer within autoScrollEdge pixels of the chart edge (or past
+    // it) scrolls the chart, faster the closer the pointer is.
+    // ============================================================
+
+    autoScrollEdge: 40,
+    autoScrollMaxSpeed: 20,  // pixels per frame
+    autoScroll: { frame: null, clientX: 0, clientY: 0 },
+
+    updateAutoScroll: function(clientX, clientY) {
+        const auto = this.autoScroll;
+        auto.clientX = clientX;
+        auto.clientY = clientY;
+        if (auto.frame === null && this.getAutoScrollVelocity(clientX, clientY)) {
+            auto.frame = requestAnimationFrame(this.autoScrollStep.bind(this));
+        }
+    },
+
+    // Scroll velocity for a pointer position, or null if it isn't near an edge
+    getAutoScrollVelocity: function(clientX, clientY) {
+        const state = this.state;
+        const el = this.canvasElement;
+        if (!el || !(state.dragging || state.connecting || state.lasso)) return null;
+        // Over a tab header, about to drop there
+        if (state.dropFlowId) return null;
+
+        const rect = el.getBoundingClientRect();
+        const edge = this.autoScrollEdge;
+        const maxSpeed = this.autoScrollMaxSpeed;
+        const speed = function(distance) {
+            if (distance >= edge) return 0;
+            return Math.ceil(maxSpeed * (1 - Math.max(0, distance) / edge));
+        };
+        // clientWidth/Height leave out the scrollbars
+        const vx = speed(clientX - rect.left) ? -speed(clientX - rect.left)
+            : speed(rect.left + el.clientWidth - clientX);
+        const vy = speed(clientY - rect.top) ? -speed(clientY - rect.top)
+            : speed(rect.top + el.clientHeight - clientY);
+        return vx || vy ? { x: vx, y: vy } : null;
+    },
+
+    autoScrollStep: function() {
+        const auto = this.autoScroll;
+        auto.frame = null;
+        const velocity = this.getAutoScrollVelocity(auto.clientX, auto.clientY);
+        const el = this.canvasElement;
+        if (!velocity || !el) return;
+
+        const left = el.scrollLeft;
+        const top = el.scrollTop;
+        el.scrollLeft += velocity.x;
+        el.scrollTop += velocity.y;
+        const dx = el.scrollLeft - left;
+        const dy = el.scrollTop - top;
+        if (!dx && !dy) return;  // already at the edge of the canvas
+
+        // Same sign convention as panCanvas: positive moves the content right/down
+        this.queuePanReport(-dx, -dy);
+        this.updateCanvasInteraction(auto.clientX, auto.clientY);
+        auto.frame = requestAnimationFrame(this.autoScrollStep.bind(this));
+    },
+
+    stopAutoScroll: function() {
+        if (this.autoScroll.frame !== null) {
+            cancelAnimationFrame(this.autoScroll.frame);
+            this.autoScroll.frame = null;
+        }
+    },
+
+    // Scroll the chart by a screen-space delta and report the part of
+    // it that was applied (scrolling stops at the canvas edges) to .NET
+    panCanvas: function(dx, dy) {
+        const el = this.canvasElement;
+        if (el) {
+            const left = el.scrollLeft;
+            const top = el.scrollTop;
+            el.scrollLeft -= dx;
+            el.scrollTop -= dy;
+            dx = left - el.scrollLeft;
+            dy = top - el.scrollTop;
+            if (!dx && !dy) return;
+        }
+        this.queuePanReport(dx, dy);
+    },
+
+    // Pans add up between throttled reports
+    queuePanReport: function(dx, dy) {
+        const queued = this.interopQueue.OnCanvasPan || [0, 0];
+        this.queueInterop('OnCanvasPan', [queued[0] + dx, queued[1] + dy]);
+    },
+
+    // ============================================================
+    // NAVIGATOR
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view-navigator.js
+    // ============================================================
+    // The minimap itself is rendered by Navigator.razor. Here the
+    // viewport outline follows the chart scroll position, and clicking
+    // or dragging in the minimap centres the chart on that point.
+    // ============================================================
+
+    navigator: null,
+
+    initNavigator: function(element, navScale) {
+        const self = this;
+        if (!element) return;
+
+        const nav = {
+            element: element,
+            border: element.querySelector('.red-ui-navigator-border'),
+            scale: navScale || 50,
+            dragging: false
+        };
+        this.navigator = nav;
+
+        element.addEventListener('pointerdown', function(e) {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            nav.dragging = true;
+            element.setPointerCapture(e.pointerId);
+            self.navigatorPanTo(e.clientX, e.clientY);
+        });
+        element.addEventListener('pointermove', function(e) {
+            if (nav.dragging) {
+                self.navigatorPanTo(e.clientX, e.clientY);
+            }
+        });
+        const stopDrag = function() { nav.dragging = false; };
+        element.addEventListener('pointerup', stopDrag);
+        element.addEventListener('pointercancel', stopDrag);
+
+        // The chart element outlives the minimap, so only listen once
+        if (!this.navigatorListening && this.canvasElement) {
+            this.navigatorListening = true;
+            this.canvasElement.addEventListener('scroll', function() { self.updateNavigator(); });
+            window.addEventListener('resize', function() { self.updateNavigator(); });
+        }
+        this.updateNavigator();
+    },
+
+    // Outline the visible part of the canvas, in minimap pixels
+    updateNavigator: function() {
+        const nav = this.navigator;
+        const el = this.canvasElement;
+        if (!nav || !nav.border || !el || !nav.element.isConnected) return;
+
+        const ratio = this.state.scale * nav.scale;
+        nav.border.style.left = (el.scrollLeft / ratio) + 'px';
+        nav.border.style.top = (el.scrollTop / ratio) + 'px';
+        nav.border.style.width = Math.max(2, el.clientWidth / ratio) + 'px';
+        nav.border.style.height = Math.max(2, el.clientHeight / ratio) + 'px';
+    },
+
+    // Centre the chart on the canvas point under the pointer
+    navigatorPanTo: function(clientX, clientY) {
+        const nav = this.navigator;
+        const el = this.canvasElement;
+        if (!nav || !el) return;
+
+        const rect = nav.element.getBoundingClientRect();
+        const screenScale = this.state.scale;
+        const canvasX = (clientX - rect.left) * nav.scale;
+        const canvasY = (clientY - rect.top) * nav.scale;
+        const targetLeft = canvasX * screenScale - el.clientWidth / 2;
+        const targetTop = canvasY * screenScale - el.clientHeight / 2;
+        this.panCanvas(el.scrollLeft - targetLeft, el.scrollTop - targetTop);
+    },
+
+    // ============================================================
+    // TOUCH GESTURES
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (touchstart / touchmove handlers on the chart)
+    // ============================================================
+    // One finger behaves like the mouse (drag nodes, draw wires) except
+    // that on empty canvas it scrolls. Two fingers pan and pinch-zoom.
+    // Holding a finger still opens the radial menu.
+    // ============================================================
+
+    startTouchGesture: function() {
+        const points = Object.values(this.state.touches);
+        const a = points[0];
+        const b = points[1];
+        this.state.gestureActive = true;
+        this.state.pinch = {
+            distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+            scale: this.state.scale,
+            centerX: (a.x + b.x) / 2,
+            centerY: (a.y + b.y) / 2
+        };
+        this.hideRadialMenu();
+    },
+
+    updateTouchGesture: function() {
+        const pinch = this.state.pinch;
+        const points = Object.values(this.state.touches);
+        if (!pinch || points.length < 2) return;
+
+        const a = points[0];
+        const b = points[1];
+        const centerX = (a.x + b.x) / 2;
+        const centerY = (a.y + b.y) / 2;
+
+        // Two-finger pan follows the midpoint between the fingers
+        const dx = centerX - pinch.centerX;
+        const dy = centerY - pinch.centerY;
+        pinch.centerX = centerX;
+        pinch.centerY = centerY;
+        if (dx !== 0 || dy !== 0) {
+            this.panCanvas(dx, dy);
+        }
+
+        // Pinch zoom is relative to the scale when the gesture started
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        const targetScale = pinch.scale * (distance / pinch.distance);
+        if (Math.abs(targetScale - this.state.scale) > 0.01) {
+            this.zoomView(targetScale, centerX, centerY);
+        }
+    },
+
+    startLongPress: function(clientX, clientY, nodeElement) {
+        const self = this;
+        this.clearLongPress();
+        this.state.longPressTimer = setTimeout(function() {
+            self.state.longPressTimer = null;
+            const nodeId = nodeElement?.getAttribute('data-node-id') || '';
+            if (nodeId && !nodeElement.classList.contains('selected')) {
+                // Long-press acts on the node under the finger
+                self.dotNetRef?.invokeMethodAsync('OnNodeClick', nodeId, false, false);
+            }
+            // The finger is now driving the menu rather than a drag
+            self.state.dragNode = null;
+            self.state.dragNodeId = null;
+            self.state.panning = false;
+            self.showRadialMenu(clientX, clientY, nodeId);
+        }, this.state.longPressTimeout);
+    },
+
+    clearLongPress: function() {
+        if (this.state.longPressTimer) {
+            clearTimeout(this.state.longPressTimer);
+            this.state.longPressTimer = null;
+        }
+    },
+
+    // ============================================================
+    // RADIAL MENU
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/touch/radialMenu.js
+    // ============================================================
+
+    radialMenu: null,
+
+    showRadialMenu: function(clientX, clientY, nodeId) {
+        const self = this;
+        this.hideRadialMenu();
+
+        const options = [
+            { name: 'cut', label: 'Cut', icon: 'fa-scissors', action: 'cut' },
+            { name: 'copy', label: 'Copy', icon: 'fa-files-o', action: 'copy' },
+            { name: 'paste', label: 'Paste', icon: 'fa-clipboard', action: 'paste' },
+            { name: 'delete', label: 'Delete', icon: 'fa-trash', action: 'deleteSelected' },
+            { name: 'edit', label: 'Edit', icon: 'fa-pencil', disabled: !nodeId }
+        ];
+
+        const menu = document.createElement('div');
+        menu.className = 'red-ui-editor-radial-menu';
+        menu.style.left = clientX + 'px';
+        menu.style.top = clientY + 'px';
+
+        const radius = 60;
+        options.forEach(function(option, i) {
+            // Spread the options evenly, starting straight above the finger
+            const angle = (i / options.length) * 2 * Math.PI - Math.PI / 2;
+            const opt = document.createElement('div');
+            opt.className = 'red-ui-editor-radial-menu-opt' +
+                (option.disabled ? ' red-ui-editor-radial-menu-opt-disabled' : '');
+            opt.style.left = (Math.cos(angle) * radius) + 'px';
+            opt.style.top = (Math.sin(angle) * radius) + 'px';
+            opt.title = option.label;
+            opt.setAttribute('data-option', option.name);
+
+            const icon = document.createElement('i');
+            icon.className = 'fa ' + option.icon;
+            opt.appendChild(icon);
+
+            opt.addEventListener('click', function(e) {
+                e.stopPropagation();
+                if (option.disabled) return;
+                self.hideRadialMenu();
+                if (option.name === 'edit') {
+                    self.dotNetRef?.invokeMethodAsync('OnNodeDoubleClick', nodeId);
+                } else if (option.name === 'paste') {
+                    self.pasteFromClipboard();
+                } else {
+                    self.dotNetRef?.invokeMethodAsync('OnKeyboardShortcut', option.action);
+                }
+            });
+            menu.appendChild(opt);
+        });
+
+        // Tapping anywhere else dismisses the menu
+        const dismiss = function(e) {
+            if (!menu.contains(e.target)) {
+                self.hideRadialMenu();
+            }
+        };
+        document.addEventListener('pointerdown', dismiss, true);
+        menu.dismiss = dismiss;
+
+        document.body.appendChild(menu);
+        this.radialMenu = menu;
+        if (navigator.vibrate) {
+            navigator.vibrate(20);
+        }
+    },
+
+    hideRadialMenu: function() {
+        if (this.radialMenu) {
+            document.removeEventListener('pointerdown', this.radialMenu.dismiss, true);
+            this.radialMenu.remove();
+            this.radialMenu = null;
+        }
+    },
+
+    // ============================================================
+    // KEYBOARD SHORTCUTS
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/keyboard.js
+    //                  packages/node_modules/@node-red/editor-client/src/js/keymap.json
+    // ============================================================
+    // Bindings are grouped by scope. '*' is always active; 'canvas',
+    // 'tray' and 'dialog' only apply while that part of the editor is
+    // in front. A binding may be a chord of several strokes separated by
+    // spaces ('ctrl+g i'). Strokes are matched on KeyboardEvent.code so a
+    // binding stays on the same physical key whatever the layout.
+    // ============================================================
+
+    defaultKeymap: {
+        '*': {
+            'ctrl+d': 'deploy',
+            'ctrl+shift+d': 'deployModified',
+            'ctrl+i': 'import',
+            'ctrl+e': 'export',
+            'ctrl+f': 'search',
+            'ctrl+shift+p': 'managePalette',
+            'ctrl+space': 'toggleSidebar',
+            'ctrl+shift+/': 'showShortcuts',
+            'ctrl+alt+p': 'showCommandPalette',
+            'ctrl+shift+j': 'showDebug',
+            'ctrl+g i': 'showInfo',
+            'ctrl+g c': 'showConfig',
+            'escape': 'escape'
+        },
+        'canvas': {
+            'ctrl+a': 'selectAll',
+            'alt+s c': 'selectConnected',
+            'alt+s u': 'selectUpstream',
+            'alt+s d': 'selectDownstream',
+            'ctrl+c': 'copy',
+            'ctrl+x': 'cut',
+            'ctrl+v': 'paste',
+            'ctrl+z': 'undo',
+            'ctrl+shift+z': 'redo',
+            'ctrl+y': 'redo',
+            'delete': 'deleteSelected',
+            'backspace': 'deleteSelected',
+            'tab': 'focusNextNode',
+            'shift+tab': 'focusPreviousNode',
+            'alt+arrowup': 'focusNodeUp',
+            'alt+arrowdown': 'focusNodeDown',
+            'alt+arrowleft': 'focusNodeLeft',
+            'alt+arrowright': 'focusNodeRight',
+            'enter': 'editFocusedNode',
+            'alt+w': 'wireFocusedNode',
+            'alt+pagedown': 'nextTab',
+            'alt+pageup': 'prevTab',
+            '+': 'zoomIn',
+            '=': 'zoomIn',
+            'shift+=': 'zoomIn',
+            'ctrl+=': 'zoomIn',
+            '-': 'zoomOut',
+            'ctrl+-': 'zoomOut',
+            'ctrl+0': 'zoomReset',
+            'alt+1': 'zoomFit',
+            'alt+2': 'zoomSelection',
+            'arrowup': 'moveUp',
+            'arrowdown': 'moveDown',
+            'arrowleft': 'moveLeft',
+            'arrowright': 'moveRight',
+            'shift+arrowup': 'moveUpFine',
+            'shift+arrowdown': 'moveDownFine',
+            'shift+arrowleft': 'moveLeftFine',
+            'shift+arrowright': 'moveRightFine'
+        },
+        'tray': {
+            'ctrl+enter': 'confirmEditTray',
+            'ctrl+escape': 'cancelEditTray'
+        },
+        'dialog': {}
+    },
+
+    // Scopes from most to least specific
+    keymapScopes: ['dialog', 'tray', 'canvas', '*'],
+
+    // Effective bindings: defaults + editorTheme keymap + user keymap
+    keyboardShortcuts: {},
+    themeKeymap: {},
+    userKeymap: {},
+    chordTimeout: 1500,
+    pendingChord: null,
+    pendingChordTimer: null,
+    dotNetRef: null,
+    // ActionRegistry, told whenever the bindings change
+    keymapWatcher: null,
+
+    // KeyboardEvent.code values that don't reduce to a letter or digit
+    keyCodeNames: {
+        Equal: '=', Minus: '-', NumpadAdd: '+', NumpadSubtract: '-',
+        NumpadMultiply: '*', NumpadDivide: '/', NumpadDecimal: '.',
+        BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'",
+        Comma: ',', Period: '.', Slash: '/', Backslash: '\\', Backquote: '`',
+        Space: 'space', Enter: 'enter', NumpadEnter: 'enter', Escape: 'escape',
+        Tab: 'tab', Backspace: 'backspace', Delete: 'delete', Insert: 'insert',
+        Home: 'home', End: 'end', PageUp: 'pageup', PageDown: 'pagedown',
+        ArrowUp: 'arrowup', ArrowDown: 'arrowdown', ArrowLeft: 'arrowleft', ArrowRight: 'arrowright'
+    },
+
+    initKeyboard: function(dotNetRef) {
+        this.dotNetRef = dotNetRef;
+        this.userKeymap = this.getLocalStorage('keymap') || {};
+        this.buildKeymap();
+        const self = this;
+
+        // ============================================================
+        // SOURCE: keyboard.js lines 100-180 - key mappings
+        // ============================================================
+        document.addEventListener('keydown', function(e) {
+            const stroke = self.keyStrokeFromEvent(e);
+            if (!stroke) return;  // modifier on its own
+
+            const typing = e.target.tagName === 'INPUT' ||
+                e.target.tagName === 'TEXTAREA' ||
+                e.target.tagName === 'SELECT' ||
+                e.target.isContentEditable;
+            if (e.target.classList?.contains('red-ui-keyboard-recorder')) return;
+
+            let scopes = self.getActiveKeyScopes();
+            if (typing) {
+                // Don't trigger canvas shortcuts while typing in inputs, but
+                // tray/dialog bindings (ctrl+enter...) and Escape still apply
+                scopes = scopes.filter(s => s === 'tray' || s === 'dialog');
+                if (stroke === 'escape') {
+                    dotNetRef.invokeMethodAsync('OnKeyboardShortcut', 'escape');
+                    return;
+                }
+            }
+
+            if (self.state.keyboardWire && (stroke === 'enter' || stroke === 'escape') && !typing) {
+                e.preventDefault();
+                self.clearPendingChord();
+                if (stroke === 'enter') self.completeKeyboardWire();
+                else self.cancelKeyboardWire(true);
+                return;
+            }
+
+            let sequence = self.pendingChord ? self.pendingChord + ' ' + stroke : stroke;
+            let match = self.findKeyBinding(sequence, scopes);
+            if (!match && self.pendingChord) {
+                // Chord broken - try the stroke on its own
+                self.clearPendingChord();
+                sequence = stroke;
+                match = self.findKeyBinding(sequence, scopes);
+            }
+            if (!match) return;
+
+            if (match.action === 'paste') {
+                // Ctrl+V is left to the browser so the document paste event
+                // delivers the system clipboard; other bindings read it async
+                self.clearPendingChord();
+                if (sequence !== 'ctrl+v') {
+                    e.preventDefault();
+                    self.pasteFromClipboard();
+                }
+                return;
+            }
+
+            if (self.navigationActions[match.action]) {
+                // Only claim the key if it did something, so Tab can leave the canvas
+                self.clearPendingChord();
+                if (self.runNavigationAction(match.action)) e.preventDefault();
+                return;
+            }
+
+            e.preventDefault();
+            if (match.action) {
+                self.clearPendingChord();
+                dotNetRef.invokeMethodAsync('OnKeyboardShortcut', match.action);
+            } else {
+                // First stroke(s) of a chord - wait for the rest
+                self.clearPendingChord();
+                self.pendingChord = sequence;
+                self.pendingChordTimer = setTimeout(function() {
+                    self.clearPendingChord();
+                }, self.chordTimeout);
+            }
+        });
+
+        document.addEventListener('keyup', function(e) {
+            if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Meta') {
+                dotNetRef.invokeMethodAsync('OnModifierKeyUp', e.key.toLowerCase());
+            }
+        });
+    },
+
+    // Build a stroke string ('ctrl+shift+z') from a keydown event
+    keyStrokeFromEvent: function(e) {
+        const code = e.code || '';
+        let key;
+        if (/^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/.test(code) ||
+            ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return null;
+        } else if (/^Key[A-Z]$/.test(code)) {
+            key = code.slice(3).toLowerCase();
+        } else if (/^Digit[0-9]$/.test(code)) {
+            key = code.slice(5);
+        } else if (/^Numpad[0-9]$/.test(code)) {
+            key = code.slice(6);
+        } else if (/^F[0-9]{1,2}$/.test(code)) {
+            key = code.toLowerCase();
+        } else if (this.keyCodeNames[code]) {
+            key = this.keyCodeNames[code];
+        } else if (e.key) {
+            // No usable code (virtual keyboards, IME) - fall back to the character
+            key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+        } else {
+            return null;
+        }
+
+        let stroke = '';
+        if (e.ctrlKey || e.metaKey) stroke += 'ctrl+';
+        if (e.shiftKey) stroke += 'shift+';
+        if (e.altKey) stroke += 'alt+';
+        return stroke + key;
+    },
+
+    // Normalise a user-entered binding ('Shift+Ctrl+Z', 'cmd+g  I') into
+    // canonical form, or return null if it isn't a valid key sequence.
+    normalizeKeySequence: function(sequence) {
+        if (typeof sequence !== 'string') return null;
+        const strokes = sequence.trim().toLowerCase().split(/\s+/);
+        const result = [];
+        for (const stroke of strokes) {
+            if (!stroke) return null;
+            let parts = stroke.split('+');
+            let key = parts.pop();
+            if (key === '' && parts.length > 0) {
+                // Trailing '+' means the plus key itself ('ctrl++')
+                parts.pop();
+                key = '+';
+            }
+            if (!key) return null;
+            const mods = { ctrl: false, shift: false, alt: false };
+            for (const part of parts) {
+                if (part === 'ctrl' || part === 'control' || part === 'cmd' || part === 'meta') mods.ctrl = true;
+                else if (part === 'shift') mods.shift = true;
+                else if (part === 'alt' || part === 'option') mods.alt = true;
+                else return null;
+            }
+            if (key === 'esc') key = 'escape';
+            if (key === 'del') key = 'delete';
+            result.push((mods.ctrl ? 'ctrl+' : '') + (mods.shift ? 'shift+' : '') +
+                (mods.alt ? 'alt+' : '') + key);
+        }
+        return result.join(' ');
+    },
+
+    // Which scopes are live right now, most specific first
+    getActiveKeyScopes: function() {
+        if (document.querySelector('.red-ui-dialog.open, .red-ui-search.open, .red-ui-command-palette')) {
+            return ['dialog', '*'];
+        }
+        if (document.querySelector('.red-ui-tray.open')) {
+            return ['tray', '*'];
+        }
+        return ['canvas', '*'];
+    },
+
+    // Returns { action } for a full match, { partial: true } when the
+    // sequence is the start of a longer chord, or null.
+    findKeyBinding: function(sequence, scopes) {
+        let partial = false;
+        for (const scope of scopes) {
+            const bindings = this.keyboardShortcuts[scope] || {};
+            if (bindings[sequence]) {
+                return { action: bindings[sequence], scope: scope };
+            }
+            const prefix = sequence + ' ';
+            if (Object.keys(bindings).some(k => k.startsWith(prefix))) {
+                partial = true;
+            }
+        }
+        return partial ? { partial: true } : null;
+    },
+
+    clearPendingChord: function() {
+        if (this.pendingChordTimer) {
+            clearTimeout(this.pendingChordTimer);
+            this.pendingChordTimer = null;
+        }
+        this.pendingChord = null;
+    },
+
+    // Rebuild keyboardShortcuts from the defaults plus both override layers.
+    // Overrides are keyed by action: { deploy: { key: 'ctrl+shift+x', scope: '*' } }.
+    // An override replaces every default binding of that action; an empty
+    // key unbinds it.
+    buildKeymap: function() {
+        const keymap = {};
+        const defaultScopes = {};
+        for (const scope of this.keymapScopes) {
+            keymap[scope] = Object.assign({}, this.defaultKeymap[scope]);
+            for (const action of Object.values(keymap[scope])) {
+                defaultScopes[action] = defaultScopes[action] || scope;
+            }
+        }
+
+        const self = this;
+        [this.themeKeymap, this.userKeymap].forEach(function(overrides) {
+            for (let [action, binding] of Object.entries(overrides || {})) {
+                if (typeof binding === 'string') binding = { key: binding };
+                for (const scope of self.keymapScopes) {
+                    for (const [key, bound] of Object.entries(keymap[scope])) {
+                        if (bound === action) delete keymap[scope][key];
+                    }
+                }
+                const key = self.normalizeKeySequence(binding?.key || '');
+                if (!key) continue;
+                let scope = binding.scope || defaultScopes[action] || '*';
+                if (!keymap[scope]) scope = '*';
+                keymap[scope][key] = action;
+            }
+        });
+
+        this.keyboardShortcuts = keymap;
+        this.clearPendingChord();
+        this.notifyKeymapChanged();
+    },
+
+    // The menus and command palette show each action's binding, so
+    // ActionRegistry gets the effective keymap now and after every change
+    watchKeymap: function(dotNetRef) {
+        this.keymapWatcher = dotNetRef;
+        this.notifyKeymapChanged();
+    },
+
+    notifyKeymapChanged: function() {
+        if (!this.keymapWatcher) return;
+        this.keymapWatcher.invokeMethodAsync('OnKeymapChanged', this.getKeymap()).catch(function() {});
+    },
+
+    // Admin-level keymap from the runtime settings (editorTheme.keymap)
+    setThemeKeymap: function(keymap) {
+        this.themeKeymap = keymap || {};
+        this.buildKeymap();
+    },
+
+    // Effective bindings as a flat list for KeyboardShortcutsDialog
+    getKeymap: function() {
+        const result = [];
+        const seen = {};
+        for (const scope of this.keymapScopes) {
+            for (const [key, action] of Object.entries(this.keyboardShortcuts[scope] || {})) {
+                result.push({ action: action, key: key, scope: scope, userDefined: !!this.userKeymap[action] });
+                seen[action] = true;
+            }
+        }
+        // Actions that have been unbound are still listed so they can be rebound
+        const all = {};
+        for (const scope of this.keymapScopes) {
+            for (const action of Object.values(this.defaultKeymap[scope])) all[action] = scope;
+        }
+        for (const action of Object.keys(this.themeKeymap).concat(Object.keys(this.userKeymap))) {
+            all[action] = all[action] || '*';
+        }
+        for (const [action, scope] of Object.entries(all)) {
+            if (!seen[action]) {
+                result.push({ action: action, key: '', scope: scope, userDefined: !!this.userKeymap[action] });
+            }
+        }
+        return result;
+    },
+
+    // Store a user binding. Throws on an unparseable key so the dialog
+    // can report it.
+    setKeyBinding: function(action, key, scope) {
+        let normalized = '';
+        if (key && key.trim()) {
+            normalized = this.normalizeKeySequence(key);
+            if (!normalized) {
+                throw new Error('Invalid key binding: ' + key);
+            }
+        }
+        this.userKeymap[action] = { key: normalized, scope: scope || null };
+        this.setLocalStorage('keymap', this.userKeymap);
+        this.buildKeymap();
+        return this.getKeymap();
+    },
+
+    // Drop the user binding for one action, or for all of them
+    resetKeyBinding: function(action) {
+        if (action) {
+            delete this.userKeymap[action];
+        } else {
+            this.userKeymap = {};
+        }
+        this.setLocalStorage('keymap', this.userKeymap);
+        this.buildKeymap();
+        return this.getKeymap();
+    },
+
+    // Turn an input into a key recorder: each keypress is written into the
+    // field as a stroke, and a second press within the chord timeout is
+    // appended to make a chord. Enter and Escape are left to the dialog.
+    recordKeyBinding: function(inputElement) {
+        if (!inputElement || inputElement.keyRecorder) return;
+        const self = this;
+        let lastStroke = 0;
+        inputElement.classList.add('red-ui-keyboard-recorder');
+        inputElement.keyRecorder = function(e) {
+            if (e.key === 'Enter' || e.key === 'Escape') return;
+            const stroke = self.keyStrokeFromEvent(e);
+            if (!stroke) return;
+            e.preventDefault();
+            const now = Date.now();
+            const current = inputElement.value.trim();
+            const chorded = current && now - lastStroke < self.chordTimeout &&
+                current.split(/\s+/).length < 2;
+            inputElement.value = chorded ? current + ' ' + stroke : stroke;
+            lastStroke = now;
+            inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+        inputElement.addEventListener('keydown', inputElement.keyRecorder);
+        inputElement.focus();
+    },
+
+    // ============================================================
+    // DRAG AND DROP (Palette to Canvas)
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/palette.js
+    // Lines: 150-200 (drag handling)
+    // ============================================================
+    
+    initPaletteDrag: function(paletteElement, canvasElement, dotNetRef) {
+        if (!paletteElement) return;
+
+        const self = this;
+        let dragData = null;
+        let dragPreview = null;
+
+        paletteElement.addEventListener('dragstart', function(e) {
+            const nodeEl = e.target.closest('.red-ui-palette-node');
+            if (!nodeEl) return;
+
+            dragData = {
+                type: nodeEl.dataset.nodeType || '',
+                label: nodeEl.dataset.nodeLabel || '',
+                color: nodeEl.dataset.nodeColor || '#ddd',
+                inputs: parseInt(nodeEl.dataset.nodeInputs || '1'),
+                outputs: parseInt(nodeEl.dataset.nodeOutputs || '1')
+            };
+
+            // Create drag preview
+            dragPreview = document.createElement('div');
+            dragPreview.className = 'red-ui-palette-node-drag-preview';
+            dragPreview.style.cssText = `
+                position: fixed;
+                pointer-events: none;
+                background: ${dragData.color};
+                border: 1px solid #999;
+                border-radius: 5px;
+                padding: 5px 10px;
+                font-size: 12px;
+                z-index: 10000;
+                opacity: 0.8;
+            `;
+            dragPreview.textContent = dragData.type;
+            document.body.appendChild(dragPreview);
+
+            // Set drag image (invisible)
+            const img = new Image();
+            img.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+            e.dataTransfer.setDragImage(img, 0, 0);
+            e.dataTransfer.effectAllowed = 'copy';
+            e.dataTransfer.setData('text/plain', JSON.stringify(dragData));
+
+            dotNetRef.invokeMethodAsync('OnPaletteDragStart', dragData.type);
+        });
+
+        document.addEventListener('drag', function(e) {
+            if (dragPreview && e.clientX && e.clientY) {
+                dragPreview.style.left = (e.clientX + 10) + 'px';
+                dragPreview.style.top = (e.clientY + 10) + 'px';
+            }
+        });
+
+        document.addEventListener('dragend', function(e) {
+            if (dragPreview) {
+                dragPreview.remove();
+                dragPreview = null;
+            }
+            dragData = null;
+            self.setSpliceWire(null);
+        });
+
+        if (canvasElement) {
+            canvasElement.addEventListener('dragover', function(e) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                if (dragData && dragData.inputs > 0 && dragData.outputs > 0) {
+                    self.setSpliceWire(self.findWireAt(e.clientX, e.clientY, null));
+                }
+            });
+
+            canvasElement.addEventListener('dragleave', function(e) {
+                if (!canvasElement.contains(e.relatedTarget)) {
+                    self.setSpliceWire(null);
+                }
+            });
+
+            canvasElement.addEventListener('drop', function(e) {
+                e.preventDefault();
+                if (!dragData) {
+                    // Not a palette node - a flow file or text from outside
+                    self.importDroppedFlow(e, canvasElement, dotNetRef);
+                    return;
+                }
+
+                // Snap to grid unless turned off or Shift is held
+                const { x, y } = self.clientToCanvas(e.clientX, e.clientY);
+                const snap = self.state.snapGrid && !e.shiftKey
+                    ? self.snapToGrid.bind(self) : Math.round;
+
+                dotNetRef.invokeMethodAsync('OnNodeDropped', 
+                    dragData.type,
+                    dragData.label,
+                    dragData.color,
+                    dragData.inputs,
+                    dragData.outputs,
+                    Math.max(0, snap(x)),
+                    Math.max(0, snap(y)),
+                    self.state.spliceWireKey);
+                self.state.spliceWireKey = null;
+            });
+        }
+    },
+
+    // Convenience function that takes a selector
+    initPaletteDragBySelector: function(paletteSelector, canvasElement, dotNetRef) {
+        const paletteElement = document.querySelector(paletteSelector);
+        this.initPaletteDrag(paletteElement, canvasElement, dotNetRef);
+    },
+
+    // ============================================================
+    // FLOW FILE IMPORT
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/clipboard.js
+    // (drop target and importFile)
+    // ============================================================
+
+    // Largest file or text accepted for import; Program.cs sizes the
+    // SignalR message limit to match
+    maxImportSize: 4 * 1024 * 1024,
+
+    // Import a file or text dropped onto the canvas at the drop point
+    importDroppedFlow: function(e, canvasElement, dotNetRef) {
+        const dataTransfer = e.dataTransfer;
+        if (!dataTransfer) return;
+
+        const pos = this.clientToCanvas(e.clientX, e.clientY);
+        const x = Math.round(pos.x);
+        const y = Math.round(pos.y);
+        const self = this;
+
+        let read;
+        if (dataTransfer.files && dataTransfer.files.length > 0) {
+            if (dataTransfer.files.length > 1) {
+                this.notify('Drop one flow file at a time', 'warning');
+                return;
+            }
+            read = this.readFlowFile(dataTransfer.files[0]);
+        } else {
+            const text = dataTransfer.getData('text/plain');
+            if (!text) return;
+            // maxImportSize is in bytes, as file.size is; text.length
+            // counts UTF-16 code units
+            read = new TextEncoder().encode(text).length > this.maxImportSize
+                ? Promise.reject(new Error('Dropped text is too large to import'))
+                : Promise.resolve(text);
+        }
+
+        read.then(function(text) {
+            return dotNetRef.invokeMethodAsync('OnFlowDrop', text, x, y);
+        }).then(function(error) {
+            if (error) self.notify(error, 'error');
+        }).catch(function(err) {
+            self.notify(err && err.message ? err.message : 'Import failed', 'error');
+        });
+    },
+
+    // Read a flow file as text, rejecting files that are too large or
+    // obviously not JSON
+    readFlowFile: function(file) {
+        const self = this;
+        return new Promise(function(resolve, reject) {
+            if (!file) {
+                reject(new Error('No file selected'));
+                return;
+            }
+            if (file.type && !/json|text/.test(file.type) && !/\.json$/i.test(file.name)) {
+                reject(new Error('Cannot import ' + file.name + ': not a JSON file'));
+                return;
+            }
+            if (file.size > self.maxImportSize) {
+                reject(new Error('Cannot import ' + file.name + ': file is larger than ' +
+                    Math.round(self.maxImportSize / (1024 * 1024)) + 'MB'));
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = function() { resolve(reader.result); };
+            reader.onerror = function() {
+                reject(new Error('Cannot read ' + file.name));
+            };
+            reader.readAsText(file);
+        });
+    },
+
+    // Read the file chosen in an <input type="file"> (ImportDialog)
+    readFileInput: function(inputElement) {
+        const file = inputElement && inputElement.files ? inputElement.files[0] : null;
+        const result = this.readFlowFile(file);
+        if (inputElement) inputElement.value = '';
+        return result;
+    },
+
+    // Open the file chooser for an <input type="file">
+    clickElement: function(element) {
+        if (element) element.click();
+    },
+
+    // ============================================================
+    // CLIPBOARD OPERATIONS
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/clipboard.js
+    // ============================================================
+    
+    clipboard: null,
+
+    // Listen for the document paste event so flow JSON copied in another
+    // tab or application can be pasted onto the canvas
+    initClipboard: function(dotNetRef) {
+        this.clipboardDotNetRef = dotNetRef;
+        const self = this;
+
+        document.addEventListener('paste', function(e) {
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+                target.isContentEditable)) {
+                return;
+            }
+            if (self.getActiveKeyScopes()[0] !== 'canvas') return;
+
+            e.preventDefault();
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            self.importClipboardText(text || self.clipboard || '');
+        });
+    },
+
+    copyToClipboard: function(data) {
+        this.clipboard = typeof data === 'string' ? data : JSON.stringify(data);
+        // Also copy to system clipboard as JSON
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(this.clipboard).catch(() => {});
+        }
+    },
+
+    // Read the system clipboard with the async Clipboard API. Falls back to
+    // the in-memory clipboard when the browser refuses access.
+    pasteFromClipboard: async function() {
+        let text = '';
+        try {
+            if (navigator.clipboard && navigator.clipboard.readText) {
+                text = await navigator.clipboard.readText();
+            }
+        } catch (err) {
+            text = '';
+        }
+        this.importClipboardText(text || this.clipboard || '');
+    },
+
+    // Hand clipboard text to .NET for validation and import at the last
+    // pointer position. Text that isn't flow JSON gets a notification.
+    importClipboardText: function(text) {
+        const dotNetRef = this.clipboardDotNetRef;
+        if (!dotNetRef) return;
+
+        const pos = this.getPastePosition();
+        const self = this;
+        dotNetRef.invokeMethodAsync('OnClipboardPaste', text || '', pos.x, pos.y)
+            .then(function(error) {
+                if (error) self.notify(error, 'error');
+            })
+            .catch(function() {});
+    },
+
+    // Paste at the pointer if it is over the canvas, otherwise the
+    // centre of the visible chart
+    getPastePosition: function() {
+        const chart = this.canvasElement ? this.canvasElement.closest('.red-ui-workspace-chart') : null;
+        const scale = this.state.scale || 1;
+        if (chart) {
+            const view = {
+                left: chart.scrollLeft / scale,
+                top: chart.scrollTop / scale,
+                right: (chart.scrollLeft + chart.clientWidth) / scale,
+                bottom: (chart.scrollTop + chart.clientHeight) / scale
+            };
+            const pos = this.state.lastPointerPos;
+            if (pos && pos.x >= view.left && pos.x <= view.right &&
+                pos.y >= view.top && pos.y <= view.bottom) {
+                return { x: Math.round(pos.x), y: Math.round(pos.y) };
+            }
+            return {
+                x: Math.round((view.left + view.right) / 2),
+                y: Math.round((view.top + view.bottom) / 2)
+            };
+        }
+        const pos = this.state.lastPointerPos || { x: 100, y: 100 };
+        return { x: Math.round(pos.x), y: Math.round(pos.y) };
+    },
+
+    // ============================================================
+    // NOTIFICATIONS
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/notifications.js
+    // ============================================================
+    
+    notifications: {},
+    notificationCount: 0,
+    maxNotifications: 5,
+    notificationTypes: ['info', 'success', 'warning', 'error'],
+
+    // notify(message, options) - the message is always shown as text.
+    // options: { type, timeout, fixed, modal, id, buttons: [{ text, class, value }] }
+    //   fixed  - stays until closed or updated
+    //   modal  - shades the editor until a button is clicked
+    //   id     - an existing notification with this id is updated in place
+    // notify(message, type, timeout) is still accepted.
+    // Returns a handle { id, update(message, options), close(), result },
+    // where result resolves to the clicked button's value (null if closed).
+    notify: function(message, options, timeout) {
+        if (typeof options === 'string' || options === undefined || options === null) {
+            options = { type: options, timeout: timeout };
+        }
+
+        const existing = options.id ? this.notifications[options.id] : null;
+        if (existing) {
+            existing.update(message, options);
+            return existing;
+        }
+
+        const self = this;
+        const id = options.id || ('notification-' + (++this.notificationCount));
+        const container = this.getNotificationContainer();
+
+        const element = document.createElement('div');
+        const text = document.createElement('span');
+        text.className = 'red-ui-notification-message';
+        element.appendChild(text);
+
+        let resolveResult;
+        let timer = null;
+        const handle = {
+            id: id,
+            element: element,
+            options: {},
+            result: new Promise(function(resolve) { resolveResult = resolve; }),
+            update: function(newMessage, newOptions) {
+                self.renderNotification(handle, newMessage, Object.assign({}, handle.options, newOptions || {}));
+                clearTimeout(timer);
+                timer = null;
+                if (!handle.options.fixed && !handle.options.modal && handle.options.timeout > 0) {
+                    timer = setTimeout(handle.close, handle.options.timeout);
+                }
+            },
+            close: function(value) {
+                if (handle.closed) return;
+                handle.closed = true;
+                clearTimeout(timer);
+                delete self.notifications[id];
+                resolveResult(value === undefined ? null : value);
+                element.style.opacity = '0';
+                setTimeout(function() { element.remove(); }, 300);
+                self.updateNotificationShade();
+            }
+        };
+
+        this.notifications[id] = handle;
+        container.appendChild(element);
+        handle.update(message, Object.assign({ type: 'info', timeout: 3000 }, options));
+        this.trimNotifications();
+        return handle;
+    },
+
+    // Fill in a notification's text, type and buttons
+    renderNotification: function(handle, message, options) {
+        const self = this;
+        const element = handle.element;
+        const type = this.notificationTypes.includes(options.type) ? options.type : 'info';
+        handle.options = options;
+
+        element.className = 'red-ui-notification red-ui-notification-' + type +
+            (options.modal ? ' red-ui-notification-modal' : '');
+        element.setAttribute('role', type === 'error' || options.modal ? 'alert' : 'status');
+        element.style.opacity = '';
+        element.querySelector('.red-ui-notification-message').textContent =
+            message === undefined || message === null ? '' : String(message);
+
+        element.querySelectorAll('.red-ui-notification-buttons, .red-ui-notification-close')
+            .forEach(function(el) { el.remove(); });
+
+        const buttons = options.buttons || [];
+        if (buttons.length > 0) {
+            const row = document.createElement('div');
+            row.className = 'red-ui-notification-buttons';
+            buttons.forEach(function(button) {
+                const el = document.createElement('button');
+                el.type = 'button';
+                el.className = 'red-ui-button' +
+                    (button.class ? ' ' + String(button.class).replace(/[^\w\- ]/g, '') : '');
+                el.textContent = button.text || '';
+                el.addEventListener('click', function() {
+                    handle.close(button.value !== undefined && button.value !== null ? button.value : button.text);
+                });
+                row.appendChild(el);
+            });
+            element.appendChild(row);
+        }
+
+        // A modal notification has to be answered with one of its buttons
+        if (!options.modal || buttons.length === 0) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'red-ui-notification-close';
+            close.setAttribute('aria-label', 'Close');
+            close.textContent = '×';
+            close.addEventListener('click', function() { handle.close(null); });
+            element.appendChild(close);
+        }
+
+        this.updateNotificationShade();
+    },
+
+    // Returns a promise for the clicked button's value - used by .NET to
+    // wait for the user's answer
+    notifyAsync: function(message, options) {
+        return this.notify(message, options).result;
+    },
+
+    closeNotification: function(id) {
+        const handle = this.notifications[id];
+        if (handle) handle.close(null);
+    },
+
+    getNotificationContainer: function() {
+        let container = document.querySelector('.red-ui-notifications');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'red-ui-notifications';
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+        return container;
+    },
+
+    // Drop the oldest notifications beyond maxNotifications, keeping
+    // modal ones and preferring to drop those that would time out anyway
+    trimNotifications: function() {
+        const handles = Object.values(this.notifications);
+        let excess = handles.length - this.maxNotifications;
+        if (excess <= 0) return;
+        const removable = handles.filter(h => !h.options.modal && !h.options.fixed)
+            .concat(handles.filter(h => !h.options.modal && h.options.fixed));
+        for (const handle of removable) {
+            if (excess-- <= 0) break;
+            handle.close(null);
+        }
+    },
+
+    // Shade the editor while a modal notification is open
+    updateNotificationShade: function() {
+        const modal = Object.values(this.notifications).some(h => h.options.modal);
+        let shade = document.querySelector('.red-ui-notification-shade');
+        if (modal && !shade) {
+            shade = document.createElement('div');
+            shade.className = 'red-ui-notification-shade';
+            document.body.appendChild(shade);
+        } else if (!modal && shade) {
+            shade.remove();
+        }
+    },
+
+    // ============================================================
+    // WIRE PATH CALCULATION
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    // (generateLinkPath). Kept in step with EditorUtils.CalculateWirePath.
+    // ============================================================
+
+    // Style for wires redrawn locally during a drag, set from EditorState.WireStyle
+    wireStyle: 'bezier',
+
+    setWireStyle: function(style) {
+        this.wireStyle = style || 'bezier';
+    },
+
+    // style: 'bezier' (default), 'circuit' or 'straight'
+    calculateWirePath: function(x1, y1, x2, y2, style) {
+        switch ((style || 'bezier').toLowerCase()) {
+            case 'straight':
+                return `M ${x1} ${y1} L ${x2} ${y2}`;
+            case 'circuit':
+                return this.generateCircuitPath(x1, y1, x2, y2);
+            default:
+                return this.generateLinkPath(x1, y1, x2, y2);
+        }
+    },
+
+    // Forward wires are a single bezier; backward wires loop round the
+    // midpoint between the nodes instead of cutting through them
+    generateLinkPath: function(origX, origY, destX, destY) {
+        const nodeWidth = 100, nodeHeight = 30;
+        const dy = destY - origY;
+        const dx = destX - origX;
+        const delta = Math.sqrt(dy * dy + dx * dx);
+        const f = this.formatPathNumber;
+        let scale = 0.75;  // lineCurveScale
+
+        if (dx > 0) {
+            if (delta < nodeWidth) {
+                scale = 0.75 - 0.75 * ((nodeWidth - delta) / nodeWidth);
+            }
+            return `M ${f(origX)} ${f(origY)} C ${f(origX + nodeWidth * scale)} ${f(origY)} ` +
+                `${f(destX - scale * nodeWidth)} ${f(destY)} ${f(destX)} ${f(destY)}`;
+        }
+
+        scale = 0.4 - 0.2 * (Math.max(0, (nodeWidth - Math.min(Math.abs(dx), Math.abs(dy))) / nodeWidth));
+
+        const midX = Math.floor(destX - dx / 2);
+        let midY = Math.floor(destY - dy / 2);
+        if (dy === 0) {
+            midY = destY + nodeHeight;
+        }
+        const cpHeight = nodeHeight / 2;
+        const y1 = (destY + midY) / 2;
+        const topX = origX + nodeWidth * scale;
+        const topY = dy > 0 ? Math.min(y1 - dy / 2, origY + cpHeight) : Math.max(y1 - dy / 2, origY - cpHeight);
+        const bottomX = destX - nodeWidth * scale;
+        const bottomY = dy > 0 ? Math.max(y1, destY - cpHeight) : Math.min(y1, destY + cpHeight);
+        const x1 = (origX + topX) / 2;
+        const scy = dy > 0 ? 1 : -1;
+        const cp = [
+            // Orig -> Top
+            [x1, origY],
+            [topX, dy > 0 ? Math.max(origY, topY - cpHeight) : Math.min(origY, topY + cpHeight)],
+            // Top -> Mid
+            [x1, dy > 0 ? Math.min(midY, topY + cpHeight) : Math.max(midY, topY - cpHeight)],
+            // Mid -> Bottom
+            [bottomX, dy > 0 ? Math.max(midY, bottomY - cpHeight) : Math.min(midY, bottomY + cpHeight)],
+            // Bottom -> Dest
+            [(destX + bottomX) / 2, destY]
+        ];
+        if (cp[2][1] === topY + scy * cpHeight) {
+            if (Math.abs(dy) < cpHeight * 10) {
+                cp[1][1] = topY - scy * cpHeight / 2;
+                cp[3][1] = bottomY - scy * cpHeight / 2;
+            }
+            cp[2][0] = topX;
+        }
+        return `M ${f(origX)} ${f(origY)}` +
+            ` C ${f(cp[0][0])} ${f(cp[0][1])} ${f(cp[1][0])} ${f(cp[1][1])} ${f(topX)} ${f(topY)}` +
+            ` S ${f(cp[2][0])} ${f(cp[2][1])} ${f(midX)} ${f(midY)}` +
+            ` S ${f(cp[3][0])} ${f(cp[3][1])} ${f(bottomX)} ${f(bottomY)}` +
+            ` S ${f(cp[4][0])} ${f(cp[4][1])} ${f(destX)} ${f(destY)}`;
+    },
+
+    // Orthogonal wire with rounded corners. Backward wires run back along
+    // a channel between the nodes, or below both when they are level.
+    generateCircuitPath: function(x1, y1, x2, y2) {
+        const stub = 25, radius = 8, nodeHeight = 30;
+        const points = [[x1, y1]];
+
+        if (x2 > x1) {
+            if (y1 !== y2) {
+                const midX = x1 + (x2 - x1) / 2;
+                points.push([midX, y1], [midX, y2]);
+            }
+        } else {
+            const channelY = Math.abs(y2 - y1) >= nodeHeight * 2
+                ? (y1 + y2) / 2
+                : Math.max(y1, y2) + nodeHeight;
+            points.push([x1 + stub, y1], [x1 + stub, channelY], [x2 - stub, channelY], [x2 - stub, y2]);
+        }
+        points.push([x2, y2]);
+
+        const f = this.formatPathNumber;
+        let path = `M ${f(x1)} ${f(y1)}`;
+        for (let i = 1; i < points.length - 1; i++) {
+            const [px, py] = points[i - 1];
+            const [cx, cy] = points[i];
+            const [nx, ny] = points[i + 1];
+            const r = Math.min(radius,
+                (Math.abs(cx - px) + Math.abs(cy - py)) / 2,
+                (Math.abs(nx - cx) + Math.abs(ny - cy)) / 2);
+            if (r <= 0) continue;
+            path += ` L ${f(cx - Math.sign(cx - px) * r)} ${f(cy - Math.sign(cy - py) * r)}` +
+                ` Q ${f(cx)} ${f(cy)} ${f(cx + Math.sign(nx - cx) * r)} ${f(cy + Math.sign(ny - cy) * r)}`;
+        }
+        return path + ` L ${f(x2)} ${f(y2)}`;
+    },
+
+    // Match the "0.##" formatting used on the server
+    formatPathNumber: function(value) {
+        return String(Math.round(value * 100) / 100);
+    },
+
+    // ============================================================
+    // KEYBOARD NAVIGATION
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/view.js
+    //         (core:go-to-nearest-node-*, keyboard wiring)
+    // ============================================================
+    // Nodes are focusable (tabindex -1) and the chart is a single tab
+    // stop. Tab/Shift+Tab step through the nodes in reading order and
+    // leave the canvas after the last one; Alt+arrows follow wires in
+    // the arrow's direction, or go to the nearest node that way. The
+    // focused node is selected, and Workspace.razor announces the new
+    // selection through the live region. Alt+W starts a wire from the
+    // focused node: move focus to the target and press Enter.
+    // ============================================================
+
+    navigationActions: {
+        focusNextNode: true,
+        focusPreviousNode: true,
+        focusNodeUp: true,
+        focusNodeDown: true,
+        focusNodeLeft: true,
+        focusNodeRight: true,
+        editFocusedNode: true,
+        wireFocusedNode: true
+    },
+
+    // Run a navigation action from outside the canvas (the command
+    // palette): give the canvas focus first, as the keys would need it
+    runCanvasAction: function(action) {
+        const chart = this.canvasElement;
+        if (!chart || !this.navigationActions[action]) return false;
+        if (!chart.contains(document.activeElement)) chart.focus({ preventScroll: true });
+        return this.runNavigationAction(action);
+    },
+
+    // Returns true if the action was handled and the key should be consumed
+    runNavigationAction: function(action) {
+        const chart = this.canvasElement;
+        if (!chart || !chart.contains(document.activeElement)) return false;
+        const focused = this.getFocusedNode();
+
+        switch (action) {
+            case 'focusNextNode':
+            case 'focusPreviousNode': {
+                const nodes = this.getNavigableNodes();
+                const forward = action === 'focusNextNode';
+                let index;
+                if (focused) {
+                    index = nodes.indexOf(focused) + (forward ? 1 : -1);
+                } else {
+                    // From the chart itself only Tab goes into the nodes
+                    index = forward ? 0 : -1;
+                }
+                if (index < 0 || index >= nodes.length) return false;
+                this.focusNode(nodes[index]);
+                return true;
+            }
+            case 'focusNodeUp':
+            case 'focusNodeDown':
+            case 'focusNodeLeft':
+            case 'focusNodeRight': {
+                const from = focused || this.getSelectedNode();
+                if (!from) {
+                    const first = this.getNavigableNodes()[0];
+                    if (first) this.focusNode(first);
+                    return true;
+                }
+                const direction = action.slice('focusNode'.length).toLowerCase();
+                const next = this.findNodeInDirection(from, direction);
+                if (next) this.focusNode(next);
+                else this.announce('No node ' + this.directionNames[direction] + '.');
+                return true;
+            }
+            case 'editFocusedNode':
+                if (!focused) return false;
+                this.dotNetRef?.invokeMethodAsync('OnNodeDoubleClick', focused.getAttribute('data-node-id') || '');
+                return true;
+            case 'wireFocusedNode':
+                this.startKeyboardWire(focused || this.getSelectedNode());
+                return true;
+        }
+        return false;
+    },
+
+    directionNames: { up: 'above', down: 'below', left: 'to the left', right: 'to the right' },
+
+    // Nodes on the active tab in reading order
+    getNavigableNodes: function() {
+        const self = this;
+        const nodes = Array.from(this.canvasElement?.querySelectorAll('.red-ui-workspace-node') || []);
+        const boxes = new Map(nodes.map(function(node) { return [node, self.getNodeBox(node)]; }));
+        return nodes.sort(function(a, b) {
+            const boxA = boxes.get(a);
+            const boxB = boxes.get(b);
+            return (boxA.y - boxB.y) || (boxA.x - boxB.x);
+        });
+    },
+
+    getFocusedNode: function() {
+        const active = document.activeElement;
+        const node = active?.closest ? active.closest('.red-ui-workspace-node') : null;
+        return node && this.canvasElement?.contains(node) ? node : null;
+    },
+
+    // The node to start from when focus is on the chart after a click
+    getSelectedNode: function() {
+        return this.canvasElement?.querySelector('.red-ui-workspace-node.selected') || null;
+    },
+
+    // Alt+left/right follow the wires into or out of the node, picking
+    // the connected node nearest its height. Up/down, and left/right
+    // from an unwired port, go to the nearest node in that direction.
+    findNodeInDirection: function(from, direction) {
+        const self = this;
+        const id = from.getAttribute('data-node-id');
+        const box = this.getNodeBox(from);
+        const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        const centerOf = function(node) {
+            const b = self.getNodeBox(node);
+            return { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+        };
+
+        let candidates = [];
+        if (direction === 'left' || direction === 'right') {
+            const wired = new Set();
+            this.canvasElement.querySelectorAll('.red-ui-flow-link-background').forEach(function(path) {
+                const data = path.dataset;
+                if (direction === 'right' && data.sourceId === id) wired.add(data.targetId);
+                if (direction === 'left' && data.targetId === id) wired.add(data.sourceId);
+            });
+            wired.delete(id);
+            candidates = Array.from(wired).map(function(nodeId) { return self.getNodeElement(nodeId); })
+                .filter(Boolean);
+            if (candidates.length) {
+                return candidates.reduce(function(best, node) {
+                    const dy = Math.abs(centerOf(node).y - center.y);
+                    return dy < Math.abs(centerOf(best).y - center.y) ? node : best;
+                });
+            }
+        }
+
+        // Distance along the arrow, with sideways distance weighed double
+        let best = null;
+        let bestScore = Infinity;
+        this.getNavigableNodes().forEach(function(node) {
+            if (node === from) return;
+            const c = centerOf(node);
+            const dx = c.x - center.x;
+            const dy = c.y - center.y;
+            let along;
+            let across;
+            switch (direction) {
+                case 'left': along = -dx; across = dy; break;
+                case 'right': along = dx; across = dy; break;
+                case 'up': along = -dy; across = dx; break;
+                default: along = dy; across = dx; break;
+            }
+            if (along <= 0) return;
+            const score = along + Math.abs(across) * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = node;
+            }
+        });
+        return best;
+    },
+
+    // Focus a node and bring it into view. Outside wiring mode the
+    // node is selected too, which is what gets announced.
+    focusNode: function(node) {
+        const box = this.getNodeBox(node);
+        node.focus({ preventScroll: true });
+        this.revealNode(box.x, box.y, box.width, box.height);
+
+        const wire = this.state.keyboardWire;
+        if (wire) {
+            this.announce('Connect to ' + this.getNodeName(node) + '? Press Enter to wire, Escape to cancel.');
+        } else {
+            this.dotNetRef?.invokeMethodAsync('OnNodeClick', node.getAttribute('data-node-id') || '', false, false);
+        }
+    },
+
+    getNodeName: function(node) {
+        return node.getAttribute('aria-label') || node.getAttribute('data-node-id') || 'node';
+    },
+
+    // Alt+W on a node starts a wire from its first output; pressing it
+    // again on the same node moves to the next output
+    startKeyboardWire: function(node) {
+        if (!node) {
+            this.announce('Focus a node to start a wire from it.');
+            return;
+        }
+        const id = node.getAttribute('data-node-id');
+        const outputs = node.querySelectorAll('.red-ui-flow-port-output').length;
+        if (!outputs) {
+            this.announce(this.getNodeName(node) + ' has no outputs.');
+            return;
+        }
+
+        const wire = this.state.keyboardWire;
+        const port = wire && wire.sourceId === id ? (wire.port + 1) % outputs : 0;
+        this.cancelKeyboardWire(false);
+        this.state.keyboardWire = { sourceId: id, port: port, outputs: outputs };
+        // An attribute rather than a class, which Blazor would overwrite
+        node.setAttribute('data-keyboard-wire-source', 'true');
+        if (document.activeElement !== node) node.focus({ preventScroll: true });
+        this.announce('Wiring from ' + this.getNodeName(node) +
+            (outputs > 1 ? ', output ' + (port + 1) + ' of ' + outputs : '') +
+            '. Move to the target node and press Enter, or Escape to cancel.');
+    },
+
+    completeKeyboardWire: function() {
+        const wire = this.state.keyboardWire;
+        const target = this.getFocusedNode();
+        if (!target || target.getAttribute('data-node-id') === wire.sourceId) {
+            this.announce('Move to the node to wire to, then press Enter.');
+            return;
+        }
+        this.cancelKeyboardWire(false);
+        // Workspace.razor adds the wire and announces the outcome
+        this.dotNetRef?.invokeMethodAsync('OnKeyboardWire',
+            wire.sourceId, wire.port, target.getAttribute('data-node-id'));
+    },
+
+    cancelKeyboardWire: function(announce) {
+        const wire = this.state.keyboardWire;
+        if (!wire) return;
+        this.state.keyboardWire = null;
+        this.getNodeElement(wire.sourceId)?.removeAttribute('data-keyboard-wire-source');
+        if (announce) this.announce('Wiring cancelled.');
+    },
+
+    // Speak a message through the workspace live region. Clearing it
+    // first makes screen readers repeat a message that hasn't changed.
+    announce: function(message) {
+        const region = document.querySelector('.red-ui-workspace-announcer');
+        if (!region) return;
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(function() {
+            region.textContent = message;
+        }, 50);
+    },
+
+    // ============================================================
+    // FOCUS MANAGEMENT
+    // ============================================================
+    
+    focusElement: function(selector) {
+        const el = document.querySelector(selector);
+        if (el) {
+            el.focus();
+        }
+    },
+
+    // Move a popup opened at the pointer back inside the window
+    clampToViewport: function(element, margin) {
+        if (!element) return;
+        margin = margin ?? 5;
+        const rect = element.getBoundingClientRect();
+        const dx = Math.min(0, window.innerWidth - margin - rect.right);
+        const dy = Math.min(0, window.innerHeight - margin - rect.bottom);
+        if (dx || dy) {
+            element.style.left = Math.max(margin, rect.left + dx) + 'px';
+            element.style.top = Math.max(margin, rect.top + dy) + 'px';
+        }
+    },
+
+    // Keep the highlighted entry of a result list visible as the
+    // arrow keys move it
+    scrollSelectedIntoView: function(container) {
+        const selected = container && container.querySelector('.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    },
+
+    // ============================================================
+    // LOCAL STORAGE (for persistence)
+    // Translated from: packages/node_modules/@node-red/editor-client/src/js/red.js
+    // ============================================================
+    
+    getLocalStorage: function(key) {
+        try {
+            return JSON.parse(localStorage.getItem('node-red-' + key));
+        } catch {
+            return null;
+        }
+    },
+
+    setLocalStorage: function(key, value) {
+        try {
+            localStorage.setItem('node-red-' + key, JSON.stringify(value));
+        } catch {
+            // Storage not available
+        }
+    },
+
+    // ============================================================
+    // DRAFT STORE
+    // ============================================================
+    // Undeployed flows, one draft per workspace, saved by DraftService
+    // (Services/Drafts.cs). Other tabs hear about saves through the
+    // storage event, which is how two tabs editing the same flows
+    // find out about each other.
+    // ============================================================
+
+    draftPrefix: 'node-red-draft-',
+
+    loadDraft: function(workspaceId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.draftPrefix + workspaceId));
+        } catch {
+            return null;
+        }
+    },
+
+    // Returns 'saved', 'quota' or 'unavailable'. Nothing else is removed
+    // to make room; DraftService asks before clearing old drafts
+    // (findStaleDrafts/removeDrafts).
+    saveDraft: function(workspaceId, draft) {
+        try {
+            localStorage.setItem(this.draftPrefix + workspaceId, JSON.stringify(draft));
+            return 'saved';
+        } catch (e) {
+            return this.isQuotaError(e) ? 'quota' : 'unavailable';
+        }
+    },
+
+    clearDraft: function(workspaceId) {
+        try {
+            localStorage.removeItem(this.draftPrefix + workspaceId);
+        } catch {
+            // Storage not available
+        }
+    },
+
+    isQuotaError: function(e) {
+        return e instanceof DOMException && (
+            e.name === 'QuotaExceededError' ||
+            e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||  // Firefox
+            e.code === 22 || e.code === 1014);
+    },
+
+    // Workspace ids of other workspaces' drafts saved more than maxAgeMs
+    // ago, or that can no longer be read
+    findStaleDrafts: function(workspaceId, maxAgeMs) {
+        const stale = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(this.draftPrefix)) continue;
+                const id = key.substring(this.draftPrefix.length);
+                if (id === workspaceId) continue;
+                let savedAt = NaN;
+                try {
+                    savedAt = Date.parse(JSON.parse(localStorage.getItem(key)).savedAt);
+                } catch {
+                    // Unreadable, so of no use to anyone
+                }
+                if (isNaN(savedAt) || Date.now() - savedAt > maxAgeMs) {
+                    stale.push(id);
+                }
+            }
+        } catch {
+            // Storage not available
+        }
+        return stale;
+    },
+
+    removeDrafts: function(workspaceIds) {
+        const self = this;
+        try {
+            workspaceIds.forEach(function(id) { localStorage.removeItem(self.draftPrefix + id); });
+        } catch {
+            // Storage not available
+        }
+    },
+
+    // Tell DraftService when another tab saves or clears this
+    // workspace's draft. The storage event never fires in the tab that
+    // made the change, but tabId is checked on the .NET side as well.
+    watchDraft: function(workspaceId, tabId, dotNetRef) {
+        const key = this.draftPrefix + workspaceId;
+        if (this.draftWatcher) {
+            window.removeEventListener('storage', this.draftWatcher);
+        }
+        this.draftWatcher = function(e) {
+            if (e.key !== key) return;
+            let draft = null;
+            try {
+                draft = JSON.parse(e.newValue);
+            } catch {
+                return;
+            }
+            if (draft && draft.tabId === tabId) return;
+            dotNetRef.invokeMethodAsync('OnDraftChanged', draft);
+        };
+        window.addEventListener('storage', this.draftWatcher);
+    },
+
+    // ============================================================
+    // COMMS CLIENT
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/comms.js
+    // ============================================================
+    // Debug and status messages come straight from CommsHub (/comms)
+    // rather than through the Blazor circuit, so a busy flow cannot
+    // flood the render loop. This is a minimal client for the SignalR
+    // JSON hub protocol over a WebSocket (the hub accepts WebSockets
+    // without a negotiate step). Like comms.js it reconnects with
+    // backoff and replays its subscriptions once reconnected.
+    //
+    // Debug messages are buffered and handed to CommsClient in batches
+    // of at most debugBatchSize every debugFlushInterval; when the
+    // buffer overflows the oldest messages are dropped and counted.
+    // Status updates in the same interval collapse to the latest per
+    // node.
+    // ============================================================
+
+    comms: {
+        socket: null,
+        dotNetRef: null,
+        state: null,
+        handshakeDone: false,
+        partial: '',
+        attempt: 0,
+        reconnectTimer: null,
+        pingTimer: null,
+        flushTimer: null,
+        subscriptions: {},
+        debugBuffer: [],
+        dropped: 0,
+        statuses: {}
+    },
+
+    commsPath: '/comms',
+    commsRecordSeparator: '\x1e',
+    // Delays before each reconnect attempt; the last repeats
+    commsReconnectDelays: [0, 1000, 2000, 5000, 10000, 30000],
+    // Keeps the connection inside the hub's client timeout (30s)
+    commsPingInterval: 15000,
+    debugFlushInterval: 250,
+    debugBatchSize: 25,
+    debugBufferSize: 200,
+    // Same as the debug node's default debugMaxLength
+    debugMaxLength: 1000,
+
+    initComms: function(dotNetRef) {
+        this.comms.dotNetRef = dotNetRef;
+        this.commsSubscribe('SubscribeDebug', []);
+        if (!this.comms.socket && this.comms.reconnectTimer === null) {
+            this.commsConnect();
+        }
+    },
+
+    // Remember a hub subscription so it is replayed after a reconnect
+    commsSubscribe: function(method, args) {
+        this.comms.subscriptions[method] = args;
+        this.commsSend({ type: 1, target: method, arguments: args });
+    },
+
+    commsConnect: function() {
+        const comms = this.comms;
+        const url = (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + this.commsPath;
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch {
+            this.commsScheduleReconnect();
+            return;
+        }
+        comms.socket = socket;
+        comms.handshakeDone = false;
+        comms.partial = '';
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ protocol: 'json', version: 1 }) + this.commsRecordSeparator);
+        };
+        socket.onmessage = (e) => {
+            if (comms.socket === socket) {
+                this.commsReceive(e.data);
+            }
+        };
+        socket.onclose = () => {
+            if (comms.socket !== socket) return;
+            comms.socket = null;
+            comms.handshakeDone = false;
+            clearInterval(comms.pingTimer);
+            comms.pingTimer = null;
+            // Everyone rejoins once reconnected; until then what we
+            // know about them is stale
+            this.clearRemotePresence();
+            this.commsScheduleReconnect();
+        };
+        // An error is always followed by close
+        socket.onerror = function() {};
+    },
+
+    commsReceive: function(data) {
+        const comms = this.comms;
+        const records = (comms.partial + data).split(this.commsRecordSeparator);
+        // Anything after the last separator is an incomplete record
+        comms.partial = records.pop();
+        records.forEach((text) => {
+            if (!text) return;
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (!comms.handshakeDone) {
+                if (message.error) {
+                    // Closing retries, which reports 'reconnecting'
+                    comms.socket.close();
+                    return;
+                }
+                this.commsConnected();
+                return;
+            }
+            switch (message.type) {
+                case 1: // Invocation
+                    this.onCommsMessage(message.target, message.arguments || []);
+                    break;
+                case 7: // Close
+                    comms.socket.close();
+                    break;
+            }
+        });
+    },
+
+    commsConnected: function() {
+        const comms = this.comms;
+        comms.handshakeDone = true;
+        comms.attempt = 0;
+        Object.keys(comms.subscriptions).forEach((method) => {
+            this.commsSend({ type: 1, target: method, arguments: comms.subscriptions[method] });
+        });
+        comms.pingTimer = setInterval(() => this.commsSend({ type: 6 }), this.commsPingInterval);
+        this.commsSetState('connected');
+    },
+
+    commsSend: function(message) {
+        const socket = this.comms.socket;
+        if (socket && socket.readyState === WebSocket.OPEN && this.comms.handshakeDone) {
+            socket.send(JSON.stringify(message) + this.commsRecordSeparator);
+        }
+    },
+
+    commsScheduleReconnect: function() {
+        const comms = this.comms;
+        const delays = this.commsReconnectDelays;
+        const delay = delays[Math.min(comms.attempt, delays.length - 1)];
+        comms.attempt++;
+        this.commsSetState('reconnecting');
+        // Jitter, so editors don't all come back at the same moment
+        // after a server restart
+        comms.reconnectTimer = setTimeout(() => {
+            comms.reconnectTimer = null;
+            this.commsConnect();
+        }, delay + Math.random() * delay * 0.25);
+    },
+
+    commsSetState: function(state) {
+        const comms = this.comms;
+        if (comms.state === state) return;
+        comms.state = state;
+        this.commsInvoke('OnCommsStateChanged', state);
+    },
+
+    commsInvoke: function(method, ...args) {
+        const ref = this.comms.dotNetRef;
+        if (ref) {
+            // The circuit may have gone; the messages are expendable
+            ref.invokeMethodAsync(method, ...args).catch(function() {});
+        }
+    },
+
+    onCommsMessage: function(target, args) {
+        switch (target) {
+            case 'debug':
+                this.queueDebugMessage(args[0]);
+                break;
+            case 'status':
+                this.comms.statuses[args[0]] = args[1] || {};
+                this.scheduleCommsFlush();
+                break;
+            case 'presence':
+                this.onPresence(args[0], args[1]);
+                break;
+            case 'presenceLeft':
+                this.onPresenceLeft(args[0]);
+                break;
+            case 'trace':
+                this.onTrace(args[0]);
+                break;
+            // Notifications already reach the editor through the circuit
+            // (ICommsService.NotificationSent)
+        }
+    },
+
+    queueDebugMessage: function(message) {
+        if (!message) return;
+        const comms = this.comms;
+        if (typeof message.msg === 'string' && message.msg.length > this.debugMaxLength) {
+            message.msg = message.msg.substring(0, this.debugMaxLength) + '…';
+        }
+        comms.debugBuffer.push(message);
+        const excess = comms.debugBuffer.length - this.debugBufferSize;
+        if (excess > 0) {
+            comms.debugBuffer.splice(0, excess);
+            comms.dropped += excess;
+        }
+        this.scheduleCommsFlush();
+    },
+
+    scheduleCommsFlush: function() {
+        if (this.comms.flushTimer === null) {
+            this.comms.flushTimer = setTimeout(() => this.flushComms(), this.debugFlushInterval);
+        }
+    },
+
+    flushComms: function() {
+        const comms = this.comms;
+        comms.flushTimer = null;
+        const messages = comms.debugBuffer.splice(0, this.debugBatchSize);
+        const dropped = comms.dropped;
+        const statuses = comms.statuses;
+        comms.dropped = 0;
+        comms.statuses = {};
+        if (messages.length > 0 || dropped > 0 || Object.keys(statuses).length > 0) {
+            this.commsInvoke('OnCommsBatch', messages, dropped, statuses);
+        }
+        if (comms.debugBuffer.length > 0) {
+            this.scheduleCommsFlush();
+        }
+    },
 
     // ============================================================
-    // FOCUS MANAGEMENT
+    // CONTEXT MENU
+    // SOURCE: packages/node_modules/@node-red/editor-client/src/js/ui/contextMenu.js
+    //         packages/node_modules/@node-red/editor-client/src/js/ui/common/menu.js
     // ============================================================
-    
-    focusElement: function(selector) {
-        const el = document.querySelector(selector);
-        if (el) {
-            el.focus();
+    // A reusable popup menu. Items are
+    //   { id, label, icon, shortcut, actionName, disabled, isSeparator, items }
+    // where items makes a submenu and actionName shows that action's
+    // binding from the keymap when no shortcut is given. Choosing an
+    // item calls OnContextMenuSelect(id) on the dotNetRef.
+    //
+    // The menu is keyboard operable: arrows move through the items and
+    // in and out of submenus, Enter/Space choose, Escape backs out.
+    // While it is open it takes every key, so the canvas shortcuts
+    // don't fire underneath it.
+    // ============================================================
+
+    contextMenu: null,
+
+    // What is under the pointer: node, port, wire, group or canvas
+    getContextMenuTarget: function(element) {
+        const node = element.closest('.red-ui-workspace-node');
+        const port = element.closest('.red-ui-flow-port');
+        if (node && port) {
+            return {
+                type: 'port',
+                nodeId: node.dataset.nodeId,
+                portType: port.classList.contains('red-ui-flow-port-output') ? 'output' : 'input',
+                portIndex: parseInt(port.dataset.portIndex, 10) || 0
+            };
+        }
+        if (node) {
+            return { type: 'node', nodeId: node.dataset.nodeId };
+        }
+        const wire = element.closest('[data-wire-key]');
+        if (wire) {
+            return { type: 'wire', wireKey: wire.dataset.wireKey };
+        }
+        const group = element.closest('.red-ui-flow-group');
+        if (group) {
+            return { type: 'group', groupId: group.dataset.groupId };
+        }
+        return { type: 'canvas' };
+    },
+
+    showContextMenu: function(items, clientX, clientY, dotNetRef) {
+        this.hideContextMenu(false);
+        if (!items || items.length === 0) return;
+
+        const menu = {
+            dotNetRef: dotNetRef,
+            // Open menus, outermost first
+            levels: [],
+            returnFocus: document.activeElement,
+            onKeyDown: (e) => this.onContextMenuKeyDown(e),
+            onPointerDown: (e) => {
+                if (!menu.levels.some(function(level) { return level.contains(e.target); })) {
+                    this.hideContextMenu(false);
+                }
+            },
+            onDismiss: () => this.hideContextMenu(false)
+        };
+        this.contextMenu = menu;
+
+        const root = this.buildContextMenu(items, 0);
+        menu.levels.push(root);
+        document.body.appendChild(root);
+        this.placeInViewport(root, clientX, clientY, clientX);
+
+        window.addEventListener('keydown', menu.onKeyDown, true);
+        document.addEventListener('pointerdown', menu.onPointerDown, true);
+        window.addEventListener('blur', menu.onDismiss);
+        window.addEventListener('resize', menu.onDismiss);
+        this.focusContextMenuItem(root, 0, 1);
+    },
+
+    hideContextMenu: function(restoreFocus) {
+        const menu = this.contextMenu;
+        if (!menu) return;
+        this.contextMenu = null;
+        menu.levels.forEach(function(level) { level.remove(); });
+        window.removeEventListener('keydown', menu.onKeyDown, true);
+        document.removeEventListener('pointerdown', menu.onPointerDown, true);
+        window.removeEventListener('blur', menu.onDismiss);
+        window.removeEventListener('resize', menu.onDismiss);
+        if (restoreFocus && menu.returnFocus && menu.returnFocus.isConnected) {
+            menu.returnFocus.focus({ preventScroll: true });
+        }
+    },
+
+    buildContextMenu: function(items, level) {
+        const self = this;
+        const element = document.createElement('div');
+        element.className = 'red-ui-context-menu';
+        element.setAttribute('role', 'menu');
+        element.dataset.level = level;
+
+        items.forEach(function(item) {
+            if (item.isSeparator) {
+                const separator = document.createElement('div');
+                separator.className = 'red-ui-context-menu-separator';
+                separator.setAttribute('role', 'separator');
+                element.appendChild(separator);
+                return;
+            }
+
+            const entry = document.createElement('div');
+            entry.className = 'red-ui-context-menu-item';
+            entry.setAttribute('role', 'menuitem');
+            entry.tabIndex = -1;
+            entry.dataset.itemId = item.id || '';
+            if (item.disabled) {
+                entry.classList.add('disabled');
+                entry.setAttribute('aria-disabled', 'true');
+            }
+            if (item.icon) {
+                const icon = document.createElement('i');
+                icon.className = 'fa fa-' + item.icon;
+                entry.appendChild(icon);
+            }
+            const label = document.createElement('span');
+            label.textContent = item.label || '';
+            entry.appendChild(label);
+
+            const hasSubmenu = Array.isArray(item.items) && item.items.length > 0;
+            const shortcut = item.shortcut || (item.actionName && self.getShortcutLabel(item.actionName));
+            if (hasSubmenu) {
+                entry.classList.add('red-ui-context-menu-submenu');
+                entry.setAttribute('aria-haspopup', 'menu');
+                entry.setAttribute('aria-expanded', 'false');
+                entry.submenuItems = item.items;
+                const caret = document.createElement('i');
+                caret.className = 'fa fa-caret-right red-ui-context-menu-caret';
+                entry.appendChild(caret);
+            } else if (shortcut) {
+                const hint = document.createElement('span');
+                hint.className = 'red-ui-context-menu-shortcut';
+                hint.textContent = shortcut;
+                entry.appendChild(hint);
+            }
+
+            entry.addEventListener('mouseenter', function() {
+                entry.focus({ preventScroll: true });
+                self.closeContextSubmenus(level + 1);
+                if (hasSubmenu && !item.disabled) self.openContextSubmenu(entry, false);
+            });
+            entry.addEventListener('click', function(e) {
+                e.stopPropagation();
+                self.activateContextMenuItem(entry);
+            });
+            element.appendChild(entry);
+        });
+        return element;
+    },
+
+    openContextSubmenu: function(entry, focusFirst) {
+        const menu = this.contextMenu;
+        const level = parseInt(entry.parentElement.dataset.level, 10);
+        this.closeContextSubmenus(level + 1);
+        const submenu = this.buildContextMenu(entry.submenuItems, level + 1);
+        menu.levels.push(submenu);
+        document.body.appendChild(submenu);
+        const rect = entry.getBoundingClientRect();
+        // Beside the item, or on its left if there's no room on the right
+        this.placeInViewport(submenu, rect.right, rect.top - 4, rect.left);
+        entry.setAttribute('aria-expanded', 'true');
+        if (focusFirst) this.focusContextMenuItem(submenu, 0, 1);
+    },
+
+    closeContextSubmenus: function(fromLevel) {
+        const menu = this.contextMenu;
+        while (menu.levels.length > Math.max(fromLevel, 1)) {
+            menu.levels.pop().remove();
+        }
+        const parent = menu.levels[menu.levels.length - 1];
+        parent.querySelectorAll('[aria-expanded="true"]').forEach(function(entry) {
+            entry.setAttribute('aria-expanded', 'false');
+        });
+    },
+
+    activateContextMenuItem: function(entry) {
+        if (entry.classList.contains('disabled')) return;
+        if (entry.submenuItems) {
+            this.openContextSubmenu(entry, true);
+            return;
+        }
+        const menu = this.contextMenu;
+        this.hideContextMenu(true);
+        menu.dotNetRef.invokeMethodAsync('OnContextMenuSelect', entry.dataset.itemId);
+    },
+
+    // Focus the enabled item at index, or the next enabled one in the
+    // given direction (wrapping)
+    focusContextMenuItem: function(level, index, direction) {
+        const entries = Array.from(level.querySelectorAll('.red-ui-context-menu-item'));
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[((index + i * direction) % entries.length + entries.length) % entries.length];
+            if (!entry.classList.contains('disabled')) {
+                entry.focus({ preventScroll: true });
+                return;
+            }
         }
+        level.tabIndex = -1;
+        level.focus({ preventScroll: true });
+    },
+
+    onContextMenuKeyDown: function(e) {
+        const menu = this.contextMenu;
+        const current = menu.levels.find(function(level) { return level.contains(document.activeElement); }) ||
+            menu.levels[menu.levels.length - 1];
+        const level = parseInt(current.dataset.level, 10);
+        const entries = Array.from(current.querySelectorAll('.red-ui-context-menu-item'));
+        const index = entries.indexOf(document.activeElement);
+        const entry = entries[index];
+
+        e.preventDefault();
+        e.stopPropagation();
+        switch (e.key) {
+            case 'ArrowDown':
+                this.focusContextMenuItem(current, index + 1, 1);
+                break;
+            case 'ArrowUp':
+                this.focusContextMenuItem(current, index < 0 ? entries.length - 1 : index - 1, -1);
+                break;
+            case 'Home':
+                this.focusContextMenuItem(current, 0, 1);
+                break;
+            case 'End':
+                this.focusContextMenuItem(current, entries.length - 1, -1);
+                break;
+            case 'ArrowRight':
+                if (entry && entry.submenuItems && !entry.classList.contains('disabled')) {
+                    this.openContextSubmenu(entry, true);
+                }
+                break;
+            case 'ArrowLeft':
+            case 'Escape':
+                if (level > 0) {
+                    const parent = menu.levels[level - 1].querySelector('[aria-expanded="true"]');
+                    this.closeContextSubmenus(level);
+                    if (parent) parent.focus({ preventScroll: true });
+                } else if (e.key === 'Escape') {
+                    this.hideContextMenu(true);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                if (entry) this.activateContextMenuItem(entry);
+                break;
+            case 'Tab':
+                this.hideContextMenu(true);
+                break;
+        }
+    },
+
+    // Place a fixed-position element at (x, y), keeping it inside the
+    // viewport. If it would overflow on the right it is moved to end at
+    // flipX instead (a submenu flips to the left of its item).
+    placeInViewport: function(element, x, y, flipX) {
+        const margin = 4;
+        element.style.left = '0px';
+        element.style.top = '0px';
+        const width = element.offsetWidth;
+        const height = element.offsetHeight;
+        if (x + width > window.innerWidth - margin) {
+            x = (flipX !== undefined ? flipX : window.innerWidth - margin) - width;
+        }
+        if (y + height > window.innerHeight - margin) {
+            y = window.innerHeight - margin - height;
+        }
+        element.style.left = Math.max(margin, x) + 'px';
+        element.style.top = Math.max(margin, y) + 'px';
+    },
+
+    // 'ctrl+shift+z' -> 'Ctrl+Shift+Z', as the keyboard shortcuts dialog
+    // shows it. The first binding found wins.
+    getShortcutLabel: function(action) {
+        for (const scope of this.keymapScopes) {
+            for (const [key, bound] of Object.entries(this.keyboardShortcuts[scope] || {})) {
+                if (bound === action) return this.formatKeyLabel(key);
+            }
+        }
+        return '';
+    },
+
+    formatKeyLabel: function(key) {
+        const names = {
+            ctrl: 'Ctrl', shift: 'Shift', alt: 'Alt', space: 'Space', escape: 'Esc',
+            arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→'
+        };
+        return key.split(' ').map(function(stroke) {
+            // A trailing '+' is the plus key itself ('+', 'ctrl++')
+            const parts = stroke.endsWith('+')
+                ? stroke.slice(0, -1).split('+').concat('+')
+                : stroke.split('+');
+            return parts.filter(function(part) { return part.length > 0; }).map(function(part) {
+                return names[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1));
+            }).join('+');
+        }).join(' ');
     },
 
     // ============================================================
-    // LOCAL STORAGE (for persistence)
-    // Translated from: packages/node_modules/@node-red/editor-client/src/js/red.js
+    // PRESENCE
     // ============================================================
-    
-    getLocalStorage: function(key) {
+    // Shares this editor's pointer, tab, selection and tray with the
+    // other editors through CommsHub, and draws theirs into the
+    // .red-ui-flow-presence layer of the canvas: a labelled cursor and
+    // an outline round each node they have selected (solid for the
+    // node open in their tray). PresenceService gets the list of other
+    // editors, without the cursors, to warn about conflicting edits.
+    // ============================================================
+
+    presence: {
+        dotNetRef: null,
+        local: null,
+        remotes: {},
+        sendTimer: null,
+        reported: ''
+    },
+
+    presenceSendInterval: 50,
+    presenceNameKey: 'node-red-presence-name',
+    presenceColors: ['#d62728', '#1f77b4', '#2ca02c', '#9467bd', '#e377c2', '#17becf', '#8c564b', '#bcbd22'],
+
+    initPresence: function(dotNetRef) {
+        const presence = this.presence;
+        presence.dotNetRef = dotNetRef;
+        if (presence.local) return;
+
+        const name = this.getPresenceName();
+        presence.local = {
+            name: name,
+            color: this.getPresenceColor(name),
+            flowId: null,
+            cursor: null,
+            selection: [],
+            editing: null
+        };
+
+        const chart = this.canvasElement;
+        if (chart) {
+            chart.addEventListener('mousemove', (e) => {
+                const point = this.clientToCanvas(e.clientX, e.clientY);
+                presence.local.cursor = { x: Math.round(point.x), y: Math.round(point.y) };
+                this.queuePresenceUpdate();
+            });
+            chart.addEventListener('mouseleave', () => {
+                presence.local.cursor = null;
+                this.queuePresenceUpdate();
+            });
+        }
+        // Replayed after every reconnect, with whatever the state is then
+        this.commsSubscribe('JoinPresence', [presence.local]);
+    },
+
+    // One name per browser tab, kept across reloads, so two tabs in the
+    // same browser show up as two editors
+    getPresenceName: function() {
+        let name = null;
         try {
-            return JSON.parse(localStorage.getItem('node-red-' + key));
+            name = sessionStorage.getItem(this.presenceNameKey);
         } catch {
-            return null;
+            // Storage disabled
+        }
+        if (!name) {
+            name = 'Guest ' + Math.floor(Math.random() * 0x10000).toString(16).toUpperCase().padStart(4, '0');
+            try {
+                sessionStorage.setItem(this.presenceNameKey, name);
+            } catch {
+                // Storage disabled - a new name after a reload
+            }
         }
+        return name;
     },
 
-    setLocalStorage: function(key, value) {
+    getPresenceColor: function(name) {
+        let hash = 0;
+        for (let i = 0; i < name.length; i++) {
+            hash = (hash * 31 + name.charCodeAt(i)) | 0;
+        }
+        return this.presenceColors[Math.abs(hash) % this.presenceColors.length];
+    },
+
+    // Called by PresenceService when the tab, selection or tray changes
+    setPresenceState: function(state) {
+        const local = this.presence.local;
+        if (!local) return;
+        local.flowId = state.flowId || null;
+        local.selection = state.selection || [];
+        local.editing = state.editing || null;
+        this.queuePresenceUpdate();
+        this.renderPresence();
+    },
+
+    queuePresenceUpdate: function() {
+        const presence = this.presence;
+        if (presence.sendTimer !== null) return;
+        presence.sendTimer = setTimeout(() => {
+            presence.sendTimer = null;
+            this.commsSend({ type: 1, target: 'UpdatePresence', arguments: [presence.local] });
+        }, this.presenceSendInterval);
+    },
+
+    onPresence: function(connectionId, state) {
+        if (!state || !this.presence.local) return;
+        const known = !!this.presence.remotes[connectionId];
+        this.presence.remotes[connectionId] = state;
+        if (!known) {
+            // Introduce ourselves to the newcomer
+            this.queuePresenceUpdate();
+        }
+        this.renderPresence();
+        this.reportPresence();
+    },
+
+    onPresenceLeft: function(connectionId) {
+        if (!this.presence.remotes[connectionId]) return;
+        delete this.presence.remotes[connectionId];
+        this.renderPresence();
+        this.reportPresence();
+    },
+
+    clearRemotePresence: function() {
+        if (Object.keys(this.presence.remotes).length === 0) return;
+        this.presence.remotes = {};
+        this.renderPresence();
+        this.reportPresence();
+    },
+
+    // Tell PresenceService about the other editors, leaving out the
+    // cursors so pointer movement doesn't reach the circuit
+    reportPresence: function() {
+        const presence = this.presence;
+        if (!presence.dotNetRef) return;
+        const editors = Object.keys(presence.remotes).map(function(id) {
+            const remote = presence.remotes[id];
+            return {
+                connectionId: id,
+                name: String(remote.name || ''),
+                color: String(remote.color || ''),
+                flowId: remote.flowId || null,
+                selection: Array.isArray(remote.selection) ? remote.selection : [],
+                editing: remote.editing || null
+            };
+        });
+        const reported = JSON.stringify(editors);
+        if (reported === presence.reported) return;
+        presence.reported = reported;
+        presence.dotNetRef.invokeMethodAsync('OnPresenceChanged', editors).catch(function() {});
+    },
+
+    renderPresence: function() {
+        const chart = this.canvasElement;
+        const layer = chart && chart.querySelector('.red-ui-flow-presence');
+        const local = this.presence.local;
+        if (!layer || !local) return;
+        while (layer.firstChild) {
+            layer.removeChild(layer.firstChild);
+        }
+
+        const self = this;
+        const ns = 'http://www.w3.org/2000/svg';
+        Object.keys(this.presence.remotes).forEach(function(id) {
+            const remote = self.presence.remotes[id];
+            if (remote.flowId !== local.flowId) return;
+            // Colours come from other browsers; only accept plain hex
+            const color = /^#[0-9a-f]{6}$/i.test(remote.color) ? remote.color : '#999999';
+
+            const nodeIds = (Array.isArray(remote.selection) ? remote.selection : []).slice();
+            if (remote.editing && nodeIds.indexOf(remote.editing) === -1) {
+                nodeIds.push(remote.editing);
+            }
+            nodeIds.forEach(function(nodeId) {
+                const node = chart.querySelector('.red-ui-workspace-node[data-node-id="' + CSS.escape(String(nodeId)) + '"]');
+                if (!node) return;
+                const box = self.getNodeBox(node);
+                const outline = document.createElementNS(ns, 'rect');
+                outline.setAttribute('class', 'red-ui-flow-presence-selection' +
+                    (nodeId === remote.editing ? ' red-ui-flow-presence-editing' : ''));
+                outline.setAttribute('x', box.x - 4);
+                outline.setAttribute('y', box.y - 4);
+                outline.setAttribute('width', box.width + 8);
+                outline.setAttribute('height', box.height + 8);
+                outline.setAttribute('rx', 6);
+                outline.setAttribute('stroke', color);
+                layer.appendChild(outline);
+            });
+
+            if (remote.cursor && isFinite(remote.cursor.x) && isFinite(remote.cursor.y)) {
+                const cursor = document.createElementNS(ns, 'g');
+                cursor.setAttribute('class', 'red-ui-flow-presence-cursor');
+                cursor.setAttribute('transform', 'translate(' + remote.cursor.x + ',' + remote.cursor.y + ')');
+                const pointer = document.createElementNS(ns, 'path');
+                pointer.setAttribute('d', 'M 0 0 L 0 16 L 4.5 12 L 8 19 L 10.5 18 L 7 11 L 12 11 Z');
+                pointer.setAttribute('fill', color);
+                const label = document.createElementNS(ns, 'text');
+                label.setAttribute('x', 14);
+                label.setAttribute('y', 26);
+                label.setAttribute('fill', color);
+                label.textContent = String(remote.name || '');
+                cursor.appendChild(pointer);
+                cursor.appendChild(label);
+                layer.appendChild(cursor);
+            }
+        });
+    },
+
+    // ============================================================
+    // TRACE
+    // ============================================================
+    // Shows messages moving through the flows the user has turned trace
+    // on for. CommsHub passes on every node send as { sourceId,
+    // sourcePort, destinationId }; each one sends a pulse along the
+    // wire it took (the path Workspace drew from calculateWirePath) and
+    // lights up the node at each end.
+    //
+    // A busy flow can send thousands of messages a second. CommsHub
+    // passes on at most TraceSubscriptions.MaxSendsPerSecond of them per
+    // flow; with several flows traced, at most traceMaxPerSecond are
+    // shown, from a bucket that refills over the second, and a wire
+    // that already has a pulse on it doesn't get another. Nothing is
+    // drawn while the page is hidden.
+    // ============================================================
+
+    trace: {
+        tokens: 0,
+        refilled: 0,
+        wires: {}
+    },
+
+    traceMaxPerSecond: 30,
+    tracePulseDuration: 500,
+    traceNodeDuration: 400,
+
+    // Called by Workspace with every flow that has trace turned on
+    setTraceFlows: function(flowIds) {
+        this.commsSubscribe('SetTraceFlows', [flowIds || []]);
+        if (!flowIds || flowIds.length === 0) {
+            this.clearTrace();
+        }
+    },
+
+    onTrace: function(sends) {
+        if (!Array.isArray(sends) || document.hidden) return;
+        const chart = this.canvasElement;
+        const layer = chart && chart.querySelector('.red-ui-flow-trace');
+        if (!layer) return;
+
+        const trace = this.trace;
+        const now = performance.now();
+        trace.tokens = Math.min(this.traceMaxPerSecond,
+            trace.tokens + (now - trace.refilled) * this.traceMaxPerSecond / 1000);
+        trace.refilled = now;
+
+        for (let i = 0; i < sends.length && trace.tokens >= 1; i++) {
+            const send = sends[i];
+            if (!send || !send.sourceId || !send.destinationId) continue;
+            const wire = chart.querySelector('.red-ui-flow-link-background' +
+                '[data-source-id="' + CSS.escape(String(send.sourceId)) + '"]' +
+                '[data-source-port="' + CSS.escape(String(send.sourcePort || 0)) + '"]' +
+                '[data-target-id="' + CSS.escape(String(send.destinationId)) + '"]');
+            // Not on this tab, or no longer wired
+            if (!wire) continue;
+            const key = wire.getAttribute('data-wire-key');
+            if (trace.wires[key]) continue;
+            trace.tokens--;
+            this.tracePulse(layer, wire, key, send);
+        }
+    },
+
+    tracePulse: function(layer, wire, key, send) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const pulse = document.createElementNS(ns, 'path');
+        if (typeof pulse.animate !== 'function') return;
+        pulse.setAttribute('class', 'red-ui-flow-trace-pulse');
+        pulse.setAttribute('d', wire.getAttribute('d'));
+        // Measure the dash in percent of the wire, whatever its length;
+        // the gap is long enough that only one dash is ever visible
+        pulse.setAttribute('pathLength', 100);
+        pulse.setAttribute('stroke-dasharray', '8 200');
+        layer.appendChild(pulse);
+        this.trace.wires[key] = true;
+        this.traceNode(layer, send.sourceId);
+
+        const animation = pulse.animate(
+            [{ strokeDashoffset: 8 }, { strokeDashoffset: -100 }],
+            { duration: this.tracePulseDuration, easing: 'ease-in-out' });
+        animation.onfinish = () => {
+            // Cleared while on its way (trace turned off)
+            const arrived = pulse.parentNode === layer;
+            pulse.remove();
+            delete this.trace.wires[key];
+            if (arrived && layer.isConnected) {
+                this.traceNode(layer, send.destinationId);
+            }
+        };
+    },
+
+    traceNode: function(layer, nodeId) {
+        const node = this.canvasElement.querySelector(
+            '.red-ui-workspace-node[data-node-id="' + CSS.escape(String(nodeId)) + '"]');
+        if (!node) return;
+        const box = this.getNodeBox(node);
+        const highlight = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        highlight.setAttribute('class', 'red-ui-flow-trace-node');
+        highlight.setAttribute('x', box.x - 3);
+        highlight.setAttribute('y', box.y - 3);
+        highlight.setAttribute('width', box.width + 6);
+        highlight.setAttribute('height', box.height + 6);
+        highlight.setAttribute('rx', 5);
+        layer.appendChild(highlight);
+        highlight.animate([{ opacity: 1 }, { opacity: 0 }], { duration: this.traceNodeDuration })
+            .onfinish = function() { highlight.remove(); };
+    },
+
+    clearTrace: function() {
+        const chart = this.canvasElement;
+        const layer = chart && chart.querySelector('.red-ui-flow-trace');
+        if (layer) {
+            while (layer.firstChild) {
+                layer.removeChild(layer.firstChild);
+            }
+        }
+        this.trace.wires = {};
+    },
+
+    // ============================================================
+    // DOWNLOADS
+    // ============================================================
+
+    downloadText: function(fileName, text, mimeType) {
+        this.downloadBlob(fileName, new Blob([text], { type: mimeType || 'text/plain' }));
+    },
+
+    downloadBlob: function(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    },
+
+    // ============================================================
+    // DIAGRAM EXPORT
+    // ============================================================
+    // Renders the current tab, or just the selection, as a standalone
+    // SVG: a clone of the workspace svg without the grid and editing
+    // furniture, cropped to the content, with every computed style
+    // inlined so it looks the same outside the editor. The PNG is that
+    // SVG drawn onto a canvas.
+    //
+    // options: { selectionOnly, background ('transparent' | 'canvas' |
+    // a colour), scale, padding }
+    // ============================================================
+
+    // Same font as the @import in app.css; embedded so node icons
+    // survive outside the page
+    diagramIconFontUrl: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/4.7.0/fonts/fontawesome-webfont.woff2',
+    diagramMaxCanvasSize: 16384,
+
+    diagramStyleProperties: [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+        'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin', 'opacity',
+        'font-family', 'font-size', 'font-weight', 'font-style',
+        'text-anchor', 'dominant-baseline', 'visibility', 'display'
+    ],
+
+    // Editing furniture that has no place in a picture of the flow
+    diagramExcludedSelector: [
+        'defs', '.red-ui-workspace-chart-background', '.red-ui-workspace-chart-grid-pattern',
+        '.red-ui-flow-link-background', '.red-ui-flow-drag-line', '.red-ui-flow-guides',
+        '.red-ui-flow-drag-layer', '.red-ui-flow-presence', '.red-ui-flow-trace',
+        '.red-ui-flow-group-handle'
+    ].join(', '),
+
+    // Returns 'saved', 'empty' (nothing to export), 'too-large' or 'failed'
+    downloadDiagram: async function(fileName, format, options) {
+        options = options || {};
+        const diagram = this.buildDiagram(options);
+        if (!diagram) return 'empty';
+        await this.embedDiagramFont(diagram.svg);
+        const markup = new XMLSerializer().serializeToString(diagram.svg);
+        if (format !== 'png') {
+            this.downloadText(fileName, markup, 'image/svg+xml');
+            return 'saved';
+        }
+
+        const width = Math.round(diagram.width);
+        const height = Math.round(diagram.height);
+        if (width > this.diagramMaxCanvasSize || height > this.diagramMaxCanvasSize) {
+            return 'too-large';
+        }
         try {
-            localStorage.setItem('node-red-' + key, JSON.stringify(value));
+            const blob = await this.rasteriseSvg(markup, width, height);
+            if (!blob) return 'failed';
+            this.downloadBlob(fileName, blob);
+            return 'saved';
         } catch {
-            // Storage not available
+            return 'failed';
+        }
+    },
+
+    buildDiagram: function(options) {
+        const chart = this.canvasElement;
+        const source = chart && chart.querySelector('svg.red-ui-workspace-chart-svg');
+        if (!source) return null;
+
+        const parts = this.getDiagramParts(source, !!options.selectionOnly);
+        if (parts.length === 0) return null;
+        const bounds = this.getDiagramBounds(parts);
+
+        // Capture the styles without selection highlighting. The classes
+        // are put back before anything can render, so Blazor never sees
+        // the difference.
+        const highlighted = source.querySelectorAll('.selected, .red-ui-flow-group-selected');
+        const classes = Array.from(highlighted, function(el) { return el.getAttribute('class'); });
+        let svg;
+        try {
+            highlighted.forEach(function(el) {
+                el.classList.remove('selected', 'red-ui-flow-group-selected');
+            });
+            svg = this.cloneWithStyles(source, new Set(parts));
+        } finally {
+            highlighted.forEach(function(el, i) { el.setAttribute('class', classes[i]); });
+        }
+
+        const padding = Math.max(0, Number(options.padding) || 0);
+        const scale = Math.max(0.1, Number(options.scale) || 1);
+        const x = bounds.x - padding;
+        const y = bounds.y - padding;
+        const width = bounds.width + padding * 2;
+        const height = bounds.height + padding * 2;
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.setAttribute('viewBox', x + ' ' + y + ' ' + width + ' ' + height);
+        svg.setAttribute('width', width * scale);
+        svg.setAttribute('height', height * scale);
+        svg.removeAttribute('style');
+        svg.removeAttribute('pointer-events');
+
+        const background = options.background === 'canvas'
+            ? getComputedStyle(source.querySelector('.red-ui-workspace-chart-background') || source).fill
+            : options.background;
+        if (background && background !== 'transparent' && background !== 'none') {
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', width);
+            rect.setAttribute('height', height);
+            rect.setAttribute('fill', background);
+            svg.insertBefore(rect, svg.firstChild);
+        }
+        return { svg: svg, width: width * scale, height: height * scale };
+    },
+
+    // The top-level pieces of the picture: groups, wires, nodes and
+    // subflow ports, limited to the selection when asked
+    getDiagramParts: function(source, selectionOnly) {
+        const parts = Array.from(source.querySelectorAll(
+            '.red-ui-flow-group, .red-ui-workspace-wire, .red-ui-workspace-node, .red-ui-flow-subflow-port'));
+        if (!selectionOnly) return parts;
+
+        const selectedNodes = new Set();
+        source.querySelectorAll('.red-ui-workspace-node.selected').forEach(function(el) {
+            selectedNodes.add(el.getAttribute('data-node-id'));
+        });
+        // Only wires with both ends in the selection
+        const selectedWires = new Set();
+        source.querySelectorAll('.red-ui-flow-link-background').forEach(function(el) {
+            if (selectedNodes.has(el.getAttribute('data-source-id')) &&
+                selectedNodes.has(el.getAttribute('data-target-id'))) {
+                selectedWires.add(el.getAttribute('data-wire-key'));
+            }
+        });
+        return parts.filter(function(el) {
+            if (el.classList.contains('red-ui-workspace-node')) {
+                return selectedNodes.has(el.getAttribute('data-node-id'));
+            }
+            if (el.classList.contains('red-ui-workspace-wire')) {
+                return selectedWires.has(el.getAttribute('data-wire-key'));
+            }
+            if (el.classList.contains('red-ui-flow-group')) {
+                return el.classList.contains('red-ui-flow-group-selected');
+            }
+            return false;
+        });
+    },
+
+    // Canvas bounds of the rendered parts, including labels and status
+    // text that stick out of the node body
+    getDiagramBounds: function(parts) {
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        parts.forEach(function(el) {
+            const box = el.getBBox();
+            const transform = el.transform && el.transform.baseVal.consolidate();
+            const dx = transform ? transform.matrix.e : 0;
+            const dy = transform ? transform.matrix.f : 0;
+            left = Math.min(left, box.x + dx);
+            top = Math.min(top, box.y + dy);
+            right = Math.max(right, box.x + dx + box.width);
+            bottom = Math.max(bottom, box.y + dy + box.height);
+        });
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    },
+
+    // Deep clone of the svg keeping only the given top-level parts (and
+    // the layers that hold them), with computed styles inlined and
+    // editor-only attributes dropped
+    cloneWithStyles: function(source, parts) {
+        const self = this;
+        const excluded = this.diagramExcludedSelector;
+
+        function keep(el) {
+            if (el.matches(excluded)) return false;
+            if (parts.has(el)) return true;
+            // A layer is kept if it holds any part
+            for (const part of parts) {
+                if (el.contains(part)) return true;
+            }
+            return false;
+        }
+
+        function copy(el, insidePart) {
+            const clone = el.cloneNode(false);
+            if (el.nodeType !== Node.ELEMENT_NODE) return clone;
+
+            const style = getComputedStyle(el);
+            const inline = self.diagramStyleProperties.map(function(name) {
+                return name + ':' + style.getPropertyValue(name);
+            }).join(';');
+            clone.setAttribute('style', inline);
+            ['class', 'tabindex', 'role', 'aria-label', 'aria-pressed'].forEach(function(name) {
+                clone.removeAttribute(name);
+            });
+            Array.from(clone.attributes).forEach(function(attr) {
+                if (attr.name.startsWith('data-')) clone.removeAttribute(attr.name);
+            });
+
+            el.childNodes.forEach(function(child) {
+                if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (child.matches(excluded)) return;
+                    if (!insidePart && !keep(child)) return;
+                    clone.appendChild(copy(child, insidePart || parts.has(child)));
+                } else if (child.nodeType === Node.TEXT_NODE && insidePart) {
+                    clone.appendChild(child.cloneNode(false));
+                }
+            });
+            return clone;
+        }
+
+        return copy(source, false);
+    },
+
+    // Embed the icon font when any node icon is drawn with it. Without
+    // the font (offline, blocked) the export goes ahead without it.
+    embedDiagramFont: async function(svg) {
+        const usesIcons = Array.from(svg.querySelectorAll('text')).some(function(text) {
+            return /FontAwesome/i.test(text.getAttribute('style') || '');
+        });
+        if (!usesIcons) return;
+        try {
+            if (!this.diagramIconFont) {
+                const response = await fetch(this.diagramIconFontUrl);
+                if (!response.ok) return;
+                const blob = await response.blob();
+                this.diagramIconFont = await new Promise(function(resolve, reject) {
+                    const reader = new FileReader();
+                    reader.onload = function() { resolve(reader.result); };
+                    reader.onerror = function() { reject(reader.error); };
+                    reader.readAsDataURL(blob);
+                });
+            }
+        } catch {
+            return;
         }
+        const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = "@font-face { font-family: 'FontAwesome'; src: url('" +
+            this.diagramIconFont + "') format('woff2'); }";
+        svg.insertBefore(style, svg.firstChild);
+    },
+
+    // Draw SVG markup onto a canvas of the given pixel size
+    rasteriseSvg: function(markup, width, height) {
+        return new Promise(function(resolve, reject) {
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = function() {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(resolve, 'image/png');
+            };
+            image.onerror = function() {
+                URL.revokeObjectURL(url);
+                reject(new Error('The diagram could not be drawn'));
+            };
+            image.src = url;
+        });
     }
 };
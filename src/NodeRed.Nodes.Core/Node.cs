@@ -95,6 +95,16 @@ public abstract class Node
     /// </summary>
     public event EventHandler<FlowMessage>? MessageSent;
 
+    /// <summary>
+    /// Hooks of the runtime running this node, shared by all its nodes.
+    /// "onSend" is triggered with the SendEvents of every send, before the
+    /// messages are delivered, when it has a handler (SendTracer adds one
+    /// while a flow is traced).
+    /// Translated from: the hooks used by @node-red/runtime/lib/flows/Flow.js
+    /// </summary>
+    [JsonIgnore]
+    public Hooks? Hooks { get; set; }
+
     /// <summary>
     /// Initializes the node. Called after all nodes are created and wired.
     /// </summary>
@@ -168,6 +178,7 @@ public abstract class Node
     {
         if (_closing) return;
 
+        var sendEvents = new List<(SendEvent Event, Node Target, FlowMessage Msg)>();
         for (int i = 0; i < msgs.Length && i < OutputNodes.Count; i++)
         {
             var msg = msgs[i];
@@ -178,24 +189,50 @@ public abstract class Node
             for (int j = 0; j < outputNodes.Count; j++)
             {
                 var targetNode = outputNodes[j];
-                var msgToSend = j == outputNodes.Count - 1 ? msg : NodeRed.Util.Util.CloneMessage(msg);
-                
-                MessageSent?.Invoke(this, msgToSend);
-                
-                // Send asynchronously
-                _ = Task.Run(async () =>
-                {
-                    try
-                    {
-                        await targetNode.ReceiveAsync(msgToSend);
-                    }
-                    catch (Exception ex)
-                    {
-                        Error(ex, msgToSend);
-                    }
-                });
+                var msgToSend = j == outputNodes.Count - 1 ? msg : NodeRed.Util.Util.CloneMessage(msg)!;
+                sendEvents.Add((new SendEvent(Id, FlowId, i, targetNode.Id), targetNode, msgToSend));
             }
         }
+
+        // ============================================================
+        // ORIGINAL CODE (Flow.js send):
+        // ------------------------------------------------------------
+        // hooks.trigger("onSend",sendEvents,(err) => {
+        //     if (err) { ... return; }
+        //     else if (err !== false) { ... handlePreRoute ... }
+        // })
+        // ------------------------------------------------------------
+        if (Hooks is not null && Hooks.Has("onSend"))
+        {
+            try
+            {
+                var result = await Hooks.TriggerAsync("onSend", sendEvents.Select(s => s.Event).ToList());
+                if (result is false) return;
+            }
+            catch (Exception ex)
+            {
+                Error(ex);
+                return;
+            }
+        }
+
+        foreach (var (_, targetNode, msgToSend) in sendEvents)
+        {
+            MessageSent?.Invoke(this, msgToSend);
+
+            // Send asynchronously
+            _ = Task.Run(async () =>
+            {
+                try
+                {
+                    await targetNode.ReceiveAsync(msgToSend);
+                }
+                catch (Exception ex)
+                {
+                    Error(ex, msgToSend);
+                }
+            });
+        }
     }
 
     /// <summary>
@@ -305,3 +342,24 @@ public class NodeError
         OriginalMessage = originalMessage;
     }
 }
+
+/// <summary>
+/// The route of one sent message: source node and output port, and the
+/// node it was delivered to.
+/// Translated from: the SendEvent passed to the onSend hook
+/// </summary>
+public class SendEvent
+{
+    public string SourceId { get; }
+    public string FlowId { get; }
+    public int SourcePort { get; }
+    public string DestinationId { get; }
+
+    public SendEvent(string sourceId, string flowId, int sourcePort, string destinationId)
+    {
+        SourceId = sourceId;
+        FlowId = flowId;
+        SourcePort = sourcePort;
+        DestinationId = destinationId;
+    }
+}
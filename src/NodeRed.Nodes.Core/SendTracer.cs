@@ -0,0 +1,90 @@
+// ============================================================
+// SOURCE: packages/node_modules/@node-red/runtime/lib/flows/Flow.js
+// ============================================================
+// Reports node sends to the editor's trace mode through an "onSend"
+// hook. The runtime hosting the nodes creates one, passes it the
+// flows CommsHub says are being traced ("traceFlows") and reports to
+// CommsHub.ReportSends.
+// ============================================================
+
+using NodeRed.Util;
+
+namespace NodeRed.Nodes.Core;
+
+/// <summary>
+/// Passes the sends of traced flows on to a reporter. The hook is only
+/// added while some flow is traced, so an untraced runtime never
+/// triggers it, and reporting never holds up or fails a send.
+/// </summary>
+public sealed class SendTracer : IDisposable
+{
+    private const string HookId = "onSend.trace";
+
+    private readonly Hooks _hooks;
+    private readonly Func<IReadOnlyList<SendEvent>, Task> _report;
+    private readonly object _lock = new();
+    private HashSet<string> _flowIds = new();
+
+    /// <param name="hooks">Hooks of the runtime running the nodes.</param>
+    /// <param name="report">Sends the traced events to the editors.</param>
+    public SendTracer(Hooks hooks, Func<IReadOnlyList<SendEvent>, Task> report)
+    {
+        _hooks = hooks;
+        _report = report;
+    }
+
+    /// <summary>
+    /// Trace sends on these flows only, replacing the earlier set. An
+    /// empty set removes the hook.
+    /// </summary>
+    public void SetFlows(IEnumerable<string> flowIds)
+    {
+        lock (_lock)
+        {
+            var hooked = _flowIds.Count > 0;
+            _flowIds = flowIds.ToHashSet();
+            if (_flowIds.Count > 0 && !hooked)
+            {
+                _hooks.Add(HookId, OnSend);
+            }
+            else if (_flowIds.Count == 0 && hooked)
+            {
+                _hooks.Remove(HookId);
+            }
+        }
+    }
+
+    // Returns straight away: the report goes out on its own and the
+    // messages are delivered as if the hook weren't there
+    private object? OnSend(object? payload)
+    {
+        var flowIds = _flowIds;
+        if (payload is IEnumerable<SendEvent> events)
+        {
+            var traced = events.Where(e => flowIds.Contains(e.FlowId)).ToList();
+            if (traced.Count > 0)
+            {
+                _ = Task.Run(() => ReportAsync(traced));
+            }
+        }
+        return null;
+    }
+
+    private async Task ReportAsync(IReadOnlyList<SendEvent> events)
+    {
+        try
+        {
+            await _report(events);
+        }
+        catch (Exception ex)
+        {
+            // Lost trace pulses aren't worth more than a debug line
+            Log.LogDebug($"Trace report failed: {ex.Message}");
+        }
+    }
+
+    public void Dispose()
+    {
+        SetFlows(Array.Empty<string>());
+    }
+}
@@ -0,0 +1,150 @@
+// ============================================================
+// Tests for NodeRed.Editor.Services.ActionRegistry
+// ============================================================
+
+using Microsoft.JSInterop;
+using Xunit;
+using NodeRed.Editor.Services;
+
+namespace NodeRed.Editor.Tests;
+
+public class ActionRegistryTests
+{
+    // Search and FormatKey never call into JS
+    private sealed class NoJSRuntime : IJSRuntime
+    {
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args) =>
+            throw new NotSupportedException();
+
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args) =>
+            throw new NotSupportedException();
+    }
+
+    [Fact]
+    public void Search_RanksWordStartsFirst()
+    {
+        var registry = new ActionRegistry(new NoJSRuntime());
+        registry.Add(new EditorAction("zoomToFit", "Zoom to fit", () => { }));
+        registry.Add(new EditorAction("zoomIn", "Zoom in", () => { }));
+        registry.Add(new EditorAction("showConfig", "Show configuration nodes", () => { }));
+        registry.Add(new EditorAction("resizeFrame", "Resize frame", () => { }));
+
+        var matches = registry.Search("zf");
+
+        Assert.Equal("zoomToFit", matches[0].Action.Id);
+        Assert.Equal(new[] { 0, 8 }, matches[0].Positions);
+    }
+
+    [Fact]
+    public void Search_WithEmptyQuery_ReturnsAllSortedByLabel()
+    {
+        var registry = new ActionRegistry(new NoJSRuntime());
+        registry.Add(new EditorAction("b", "Zoom in", () => { }));
+        registry.Add(new EditorAction("a", "Deploy", () => { }));
+        registry.Add(new EditorAction("c", "copy", () => { }));
+
+        var matches = registry.Search("  ");
+
+        Assert.Equal(new[] { "copy", "Deploy", "Zoom in" }, matches.Select(m => m.Action.Label));
+        Assert.All(matches, m => Assert.Empty(m.Positions));
+    }
+
+    [Fact]
+    public void Search_MatchesIdsBelowLabels()
+    {
+        var registry = new ActionRegistry(new NoJSRuntime());
+        registry.Add(new EditorAction("showDebug", "Debug messages", () => { }));
+        registry.Add(new EditorAction("sidebar", "Show sidebar", () => { }));
+
+        var matches = registry.Search("show");
+
+        Assert.Equal(new[] { "sidebar", "showDebug" }, matches.Select(m => m.Action.Id));
+        Assert.Empty(matches[1].Positions);
+    }
+
+    [Fact]
+    public void Search_SkipsActionsThatDontMatch()
+    {
+        var registry = new ActionRegistry(new NoJSRuntime());
+        registry.Add(new EditorAction("zoomIn", "Zoom in", () => { }));
+        registry.Add(new EditorAction("deploy", "Deploy", () => { }));
+
+        var matches = registry.Search("xyz");
+
+        Assert.Empty(matches);
+    }
+
+    [Fact]
+    public void FuzzyMatch_RequiresCharactersInOrder()
+    {
+        var inOrder = ActionRegistry.FuzzyMatch("zf", "Zoom to fit");
+        var reversed = ActionRegistry.FuzzyMatch("fz", "Zoom to fit");
+
+        Assert.NotNull(inOrder);
+        Assert.Null(reversed);
+    }
+
+    [Fact]
+    public void FuzzyMatch_IgnoresCase()
+    {
+        var result = ActionRegistry.FuzzyMatch("ZOOM", "zoom in");
+
+        Assert.NotNull(result);
+        Assert.Equal(new[] { 0, 1, 2, 3 }, result!.Value.Positions);
+    }
+
+    [Fact]
+    public void FuzzyMatch_PrefersWordStartsOverEarlierLetters()
+    {
+        var result = ActionRegistry.FuzzyMatch("st", "Select all nodes on this tab");
+
+        Assert.NotNull(result);
+        Assert.Equal(new[] { 0, 20 }, result!.Value.Positions);
+    }
+
+    [Fact]
+    public void FuzzyMatch_ScoresRunsAboveScatteredLetters()
+    {
+        var run = ActionRegistry.FuzzyMatch("dep", "Deploy");
+        var scattered = ActionRegistry.FuzzyMatch("dep", "Disable export");
+
+        Assert.True(run!.Value.Score > scattered!.Value.Score);
+    }
+
+    [Fact]
+    public void FuzzyMatch_TreatsCamelCaseHumpsAsWordStarts()
+    {
+        var result = ActionRegistry.FuzzyMatch("sd", "showDebug");
+
+        Assert.NotNull(result);
+        Assert.Equal(new[] { 0, 4 }, result!.Value.Positions);
+    }
+
+    [Fact]
+    public void FormatKey_CapitalisesModifiersAndKeys()
+    {
+        var result = ActionRegistry.FormatKey("ctrl+shift+z");
+
+        Assert.Equal("Ctrl+Shift+Z", result);
+    }
+
+    [Fact]
+    public void FormatKey_KeepsThePlusKey()
+    {
+        var result = ActionRegistry.FormatKey("ctrl++");
+
+        Assert.Equal("Ctrl++", result);
+    }
+
+    [Fact]
+    public void FormatKey_FormatsChordsAndNamedKeys()
+    {
+        var chord = ActionRegistry.FormatKey("alt+s c");
+        var arrows = ActionRegistry.FormatKey("shift+arrowup");
+        var escape = ActionRegistry.FormatKey("escape");
+
+        Assert.Equal("Alt+S C", chord);
+        Assert.Equal("Shift+↑", arrows);
+        Assert.Equal("Esc", escape);
+    }
+}
@@ -0,0 +1,95 @@
+// ============================================================
+// Tests for NodeRed.Editor.Services.DraftDiff
+// ============================================================
+
+using System.Text.Json;
+using Xunit;
+using NodeRed.Editor.Services;
+
+namespace NodeRed.Editor.Tests;
+
+public class DraftDiffTests
+{
+    private static Dictionary<string, object> Tab(string id, string label) => new()
+    {
+        ["id"] = id,
+        ["type"] = "tab",
+        ["label"] = label
+    };
+
+    private static Dictionary<string, object> Node(string id, string type, string z, string name = "", int x = 100) => new()
+    {
+        ["id"] = id,
+        ["type"] = type,
+        ["z"] = z,
+        ["name"] = name,
+        ["x"] = x,
+        ["y"] = 100
+    };
+
+    [Fact]
+    public void Compare_WithSameFlows_ReturnsNoChanges()
+    {
+        var deployed = new List<Dictionary<string, object>> { Tab("t1", "Flow 1"), Node("n1", "inject", "t1") };
+        var draft = new List<Dictionary<string, object>> { Tab("t1", "Flow 1"), Node("n1", "inject", "t1") };
+
+        var changes = DraftDiff.Compare(deployed, draft);
+
+        Assert.Empty(changes);
+    }
+
+    [Fact]
+    public void Compare_FindsAddedDeletedAndChangedNodes()
+    {
+        var deployed = new List<Dictionary<string, object>>
+        {
+            Tab("t1", "Flow 1"),
+            Node("kept", "inject", "t1", "kept"),
+            Node("moved", "debug", "t1", "moved"),
+            Node("deleted", "function", "t1", "deleted")
+        };
+        var draft = new List<Dictionary<string, object>>
+        {
+            Tab("t1", "Flow 1"),
+            Node("kept", "inject", "t1", "kept"),
+            Node("moved", "debug", "t1", "moved", x: 300),
+            Node("added", "change", "t1")
+        };
+
+        var changes = DraftDiff.Compare(deployed, draft);
+
+        Assert.Equal(3, changes.Count);
+        Assert.Contains(new DraftChange(DraftChangeKind.Added, "added", "change", "change", "Flow 1"), changes);
+        Assert.Contains(new DraftChange(DraftChangeKind.Changed, "moved", "debug", "moved", "Flow 1"), changes);
+        Assert.Contains(new DraftChange(DraftChangeKind.Deleted, "deleted", "function", "deleted", "Flow 1"), changes);
+    }
+
+    [Fact]
+    public void Compare_IgnoresPropertyOrderAndJsonElements()
+    {
+        var deployed = new List<Dictionary<string, object>> { Node("n1", "inject", "t1", "a") };
+        var draft = JsonSerializer.Deserialize<List<Dictionary<string, object>>>(
+            """[{"y":100,"x":100,"name":"a","z":"t1","type":"inject","id":"n1"}]""")!;
+
+        var changes = DraftDiff.Compare(deployed, draft);
+
+        Assert.Empty(changes);
+    }
+
+    [Fact]
+    public void Compare_ListsTabsFirstAndUsesNewTabLabels()
+    {
+        var deployed = new List<Dictionary<string, object>> { Tab("t1", "Old") };
+        var draft = new List<Dictionary<string, object>>
+        {
+            Node("n1", "inject", "t1"),
+            Tab("t1", "New")
+        };
+
+        var changes = DraftDiff.Compare(deployed, draft);
+
+        Assert.Equal(2, changes.Count);
+        Assert.Equal(new DraftChange(DraftChangeKind.Changed, "t1", "tab", "New", null), changes[0]);
+        Assert.Equal("New", changes[1].FlowLabel);
+    }
+}
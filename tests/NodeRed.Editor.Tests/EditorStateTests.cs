@@ -0,0 +1,306 @@
+// ============================================================
+// Tests for NodeRed.Editor.Services.EditorState
+// ============================================================
+
+using System.Text.Json;
+using Xunit;
+using NodeRed.Editor.Services;
+
+namespace NodeRed.Editor.Tests;
+
+public class EditorStateTests
+{
+    private static FlowNode AddNode(EditorState state, string id, string flowId = "A", int x = 0)
+    {
+        var node = new FlowNode
+        {
+            Id = id, Type = "function", FlowId = flowId, X = x, Y = 0,
+            Width = 100, Height = 30, Inputs = 1, Outputs = 1
+        };
+        state.Nodes.Add(node);
+        return node;
+    }
+
+    private static void Wire(EditorState state, params (string Source, string Target)[] wires)
+    {
+        var evt = new HistoryEvent();
+        foreach (var (source, target) in wires)
+        {
+            state.AddWire(source, 0, target, 0, evt);
+        }
+    }
+
+    private static string WireKeys(EditorState state) =>
+        string.Join(",", state.Wires.Select(w => $"{w.SourceId}>{w.TargetId}@{w.FlowId}").OrderBy(k => k));
+
+    [Fact]
+    public void SpliceNode_UndoAndRedo_RestoreTheWires()
+    {
+        var state = new EditorState();
+        AddNode(state, "a");
+        var spliced = AddNode(state, "s", x: 200);
+        AddNode(state, "b", x: 400);
+        Wire(state, ("a", "b"));
+
+        var evt = new HistoryEvent();
+        state.SpliceNode(spliced, state.Wires.Single(), evt);
+        state.RecordHistory(evt);
+
+        Assert.Equal("a>s@A,s>b@A", WireKeys(state));
+        state.Undo();
+        Assert.Equal("a>b@A", WireKeys(state));
+        state.Redo();
+        Assert.Equal("a>s@A,s>b@A", WireKeys(state));
+    }
+
+    [Fact]
+    public void DetachNode_UndoAndRedo_RestoreTheWires()
+    {
+        var state = new EditorState();
+        AddNode(state, "a");
+        AddNode(state, "b");
+        var detached = AddNode(state, "d");
+        AddNode(state, "c");
+        Wire(state, ("a", "d"), ("b", "d"), ("d", "c"));
+
+        var evt = new HistoryEvent();
+        state.DetachNode(detached, evt);
+        state.RecordHistory(evt);
+
+        Assert.Equal("a>c@A,b>c@A", WireKeys(state));
+        state.Undo();
+        Assert.Equal("a>d@A,b>d@A,d>c@A", WireKeys(state));
+        state.Redo();
+        Assert.Equal("a>c@A,b>c@A", WireKeys(state));
+    }
+
+    [Fact]
+    public void GetLinkedNodeIds_FollowsWiresInTheGivenDirections()
+    {
+        var state = new EditorState();
+        foreach (var id in new[] { "a", "b", "c", "d", "e" })
+        {
+            AddNode(state, id);
+        }
+        Wire(state, ("a", "b"), ("b", "c"), ("d", "b"));
+
+        Assert.Equal(new HashSet<string> { "b", "c" },
+            state.GetLinkedNodeIds(new[] { "b" }, upstream: false, downstream: true));
+        Assert.Equal(new HashSet<string> { "a", "b", "d" },
+            state.GetLinkedNodeIds(new[] { "b" }, upstream: true, downstream: false));
+        Assert.Equal(new HashSet<string> { "a", "b", "c", "d" },
+            state.GetLinkedNodeIds(new[] { "c" }, upstream: true, downstream: true));
+    }
+
+    [Fact]
+    public void GetLinkedNodeIds_StopsAtCycles()
+    {
+        var state = new EditorState();
+        AddNode(state, "a");
+        AddNode(state, "b");
+        Wire(state, ("a", "b"), ("b", "a"));
+
+        var linked = state.GetLinkedNodeIds(new[] { "a" }, upstream: true, downstream: true);
+
+        Assert.Equal(new HashSet<string> { "a", "b" }, linked);
+    }
+
+    [Fact]
+    public void MoveNodesToFlow_MovesWiresBetweenMovedNodesAndRemovesTheRest()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        state.Flows.Add(new Flow { Id = "B", Label = "B" });
+        var a = AddNode(state, "a");
+        var b = AddNode(state, "b");
+        AddNode(state, "c");
+        Wire(state, ("a", "b"), ("b", "c"));
+
+        var evt = new HistoryEvent { Type = HistoryEventType.MoveToFlow };
+        state.MoveNodesToFlow(new[] { a, b }, "B", evt);
+        state.RecordHistory(evt);
+
+        Assert.Equal("B", a.FlowId);
+        Assert.Equal("B", b.FlowId);
+        Assert.Equal("a>b@B", WireKeys(state));
+        state.Undo();
+        Assert.Equal("A", a.FlowId);
+        Assert.Equal("a>b@A,b>c@A", WireKeys(state));
+        state.Redo();
+        Assert.Equal("a>b@B", WireKeys(state));
+    }
+
+    [Fact]
+    public void MoveNodesToFlow_NodesLeavingAGroupKeepTheirWires()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        state.Flows.Add(new Flow { Id = "B", Label = "B" });
+        var a = AddNode(state, "a");
+        var b = AddNode(state, "b");
+        AddNode(state, "c");
+        Wire(state, ("a", "b"));
+        var group = new NodeGroup { Id = "g", FlowId = "A", Nodes = new() { "a", "b", "c" } };
+        state.GroupManager.AddGroup(group);
+
+        var evt = new HistoryEvent { Type = HistoryEventType.MoveToFlow };
+        state.MoveNodesToFlow(new[] { a, b }, "B", evt);
+        state.RecordHistory(evt);
+
+        Assert.Equal("a>b@B", WireKeys(state));
+        Assert.Equal(new[] { "c" }, group.Nodes);
+        state.Undo();
+        Assert.Equal("a>b@A", WireKeys(state));
+        Assert.Equal(new[] { "a", "b", "c" }, group.Nodes.OrderBy(id => id));
+    }
+
+    [Fact]
+    public void MoveNodesToFlow_TakesAGroupWhoseNodesAllMove()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        state.Flows.Add(new Flow { Id = "B", Label = "B" });
+        var a = AddNode(state, "a");
+        var b = AddNode(state, "b");
+        var group = new NodeGroup { Id = "g", FlowId = "A", Nodes = new() { "a", "b" } };
+        state.GroupManager.AddGroup(group);
+
+        var evt = new HistoryEvent { Type = HistoryEventType.MoveToFlow };
+        state.MoveNodesToFlow(new[] { a, b }, "B", evt);
+        state.RecordHistory(evt);
+
+        Assert.Equal("B", group.FlowId);
+        Assert.Equal(new[] { "a", "b" }, group.Nodes);
+        state.Undo();
+        Assert.Equal("A", group.FlowId);
+    }
+
+    [Fact]
+    public void MoveFlow_UndoAndRedo_RestoreTheTabOrder()
+    {
+        var state = new EditorState();
+        foreach (var id in new[] { "A", "B", "C" })
+        {
+            state.Flows.Add(new Flow { Id = id, Label = id });
+        }
+
+        var evt = new HistoryEvent { Type = HistoryEventType.ReorderFlows };
+        state.MoveFlow("A", 2, evt);
+
+        Assert.True(state.RecordHistory(evt));
+        Assert.Equal(new[] { "B", "C", "A" }, state.Flows.Select(f => f.Id));
+        state.Undo();
+        Assert.Equal(new[] { "A", "B", "C" }, state.Flows.Select(f => f.Id));
+        state.Redo();
+        Assert.Equal(new[] { "B", "C", "A" }, state.Flows.Select(f => f.Id));
+    }
+
+    [Fact]
+    public void MoveFlow_ToSamePosition_IsNotRecorded()
+    {
+        var state = new EditorState();
+        foreach (var id in new[] { "A", "B", "C" })
+        {
+            state.Flows.Add(new Flow { Id = id, Label = id });
+        }
+
+        var evt = new HistoryEvent { Type = HistoryEventType.ReorderFlows };
+        state.MoveFlow("B", 1, evt);
+
+        Assert.False(state.RecordHistory(evt));
+        Assert.False(state.History.CanUndo);
+    }
+
+    [Fact]
+    public void RestoreFlows_KeepsConfigNodesAndGroups()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        AddNode(state, "a");
+        state.ConfigNodes.Add(new ConfigNode { Id = "cfg", Type = "mqtt-broker", Name = "broker" });
+        state.GroupManager.AddGroup(new NodeGroup
+        {
+            Id = "g", FlowId = "A", Name = "group", Nodes = new() { "a" },
+            X = 10, Y = 20, Width = 140, Height = 60, Fill = "#ffcc00", FillOpacity = 0.5
+        });
+        var json = JsonSerializer.Serialize(state.ExportCompleteFlows());
+
+        var restored = new EditorState();
+        restored.RestoreFlows(JsonSerializer.Deserialize<List<Dictionary<string, object>>>(json)!);
+
+        Assert.Equal(new[] { "a" }, restored.Nodes.Select(n => n.Id));
+        var config = Assert.Single(restored.ConfigNodes);
+        Assert.Equal(("cfg", "mqtt-broker", "broker"), (config.Id, config.Type, config.Name));
+        var group = Assert.Single(restored.GroupManager.Groups);
+        Assert.Equal(("g", "A", "group"), (group.Id, group.FlowId, group.Name));
+        Assert.Equal(new[] { "a" }, group.Nodes);
+        Assert.Equal((10, 20, 140, 60), (group.X, group.Y, group.Width, group.Height));
+        Assert.Equal("#ffcc00", group.Fill);
+        Assert.Equal(0.5, group.FillOpacity);
+    }
+
+    [Fact]
+    public void ImportNodes_UndoAndRedo_RemoveAndRestoreTheImport()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        state.ActiveFlowId = "A";
+        const string json = """
+            [
+                {"id":"t","type":"tab","label":"Imported"},
+                {"id":"1","type":"inject","z":"t","x":100,"y":100,"wires":[["2"]]},
+                {"id":"2","type":"debug","z":"t","x":300,"y":100,"wires":[]},
+                {"id":"3","type":"function","x":100,"y":200,"wires":[[]]}
+            ]
+            """;
+
+        var evt = new HistoryEvent { Type = HistoryEventType.Import };
+        var nodes = state.ImportNodes(json, new Point(400, 400), evt);
+
+        Assert.True(state.RecordHistory(evt));
+        Assert.Equal(3, nodes.Count);
+        Assert.Equal(2, state.Flows.Count);
+        Assert.Single(state.Wires);
+        state.Undo();
+        Assert.Empty(state.Nodes);
+        Assert.Empty(state.Wires);
+        Assert.Equal(new[] { "A" }, state.Flows.Select(f => f.Id));
+        state.Redo();
+        Assert.Equal(nodes.Select(n => n.Id).OrderBy(id => id), state.Nodes.Select(n => n.Id).OrderBy(id => id));
+        Assert.Single(state.Wires);
+        Assert.Equal(2, state.Flows.Count);
+    }
+
+    [Fact]
+    public void ImportNodes_UndoAndRedo_RemoveAndRestoreConfigNodesAndGroups()
+    {
+        var state = new EditorState();
+        state.Flows.Add(new Flow { Id = "A", Label = "A" });
+        state.ActiveFlowId = "A";
+        const string json = """
+            [
+                {"id":"b","type":"mqtt-broker","name":"broker"},
+                {"id":"g","type":"group","name":"pair","nodes":["1","2","elsewhere"],"x":80,"y":80,"w":260,"h":60},
+                {"id":"1","type":"mqtt in","g":"g","broker":"b","x":100,"y":100,"wires":[["2"]]},
+                {"id":"2","type":"debug","g":"g","x":300,"y":100,"wires":[]}
+            ]
+            """;
+
+        var evt = new HistoryEvent { Type = HistoryEventType.Import };
+        var nodes = state.ImportNodes(json, new Point(400, 400), evt);
+        state.RecordHistory(evt);
+
+        var config = Assert.Single(state.ConfigNodes);
+        Assert.Equal(config.Id, nodes[0].Properties!["broker"]);
+        var group = Assert.Single(state.GroupManager.Groups);
+        Assert.Equal(("A", "pair"), (group.FlowId, group.Name));
+        Assert.Equal(nodes.Select(n => n.Id), group.Nodes);
+        Assert.Equal(nodes[0].X - 20, group.X);
+        state.Undo();
+        Assert.Empty(state.ConfigNodes);
+        Assert.Empty(state.GroupManager.Groups);
+        state.Redo();
+        Assert.Equal(config.Id, Assert.Single(state.ConfigNodes).Id);
+        Assert.Equal(group.Nodes, Assert.Single(state.GroupManager.Groups).Nodes);
+    }
+}
@@ -0,0 +1,97 @@
+// ============================================================
+// Tests for NodeRed.Editor.Services.TraceSubscriptions
+// ============================================================
+
+using Xunit;
+using NodeRed.Editor.Services;
+
+namespace NodeRed.Editor.Tests;
+
+public class TraceSubscriptionsTests
+{
+    private sealed class ManualTime : TimeProvider
+    {
+        public DateTimeOffset Now { get; set; } = new(2024, 1, 1, 0, 0, 0, TimeSpan.Zero);
+
+        public override DateTimeOffset GetUtcNow() => Now;
+    }
+
+    private static List<TracePayload> Sends(string flowId, int count) =>
+        Enumerable.Range(0, count)
+            .Select(i => new TracePayload { FlowId = flowId, SourceId = $"n{i}", DestinationId = "d" })
+            .ToList();
+
+    [Fact]
+    public void Update_ReportsChangesToTheTracedFlows()
+    {
+        var traces = new TraceSubscriptions();
+
+        Assert.True(traces.Update(Array.Empty<string>(), new[] { "f1", "f2" }));
+        Assert.False(traces.Update(Array.Empty<string>(), new[] { "f1" }));
+        Assert.Equal(new[] { "f1", "f2" }, traces.Flows.OrderBy(id => id));
+    }
+
+    [Fact]
+    public void Update_KeepsAFlowTracedUntilItsLastConnectionStops()
+    {
+        var traces = new TraceSubscriptions();
+        traces.Update(Array.Empty<string>(), new[] { "f1" });
+        traces.Update(Array.Empty<string>(), new[] { "f1" });
+
+        Assert.False(traces.Update(new[] { "f1" }, Array.Empty<string>()));
+        Assert.True(traces.IsTraced("f1"));
+        Assert.True(traces.Update(new[] { "f1" }, Array.Empty<string>()));
+        Assert.False(traces.IsTraced("f1"));
+        Assert.Empty(traces.Flows);
+    }
+
+    [Fact]
+    public void Update_IgnoresFlowsThatWereNotTraced()
+    {
+        var traces = new TraceSubscriptions();
+
+        Assert.False(traces.Update(new[] { "f1" }, Array.Empty<string>()));
+        Assert.Empty(traces.Flows);
+    }
+
+    [Fact]
+    public void Admit_DropsSendsOfFlowsNobodyTraces()
+    {
+        var traces = new TraceSubscriptions();
+
+        Assert.Empty(traces.Admit("f1", Sends("f1", 3)));
+    }
+
+    [Fact]
+    public void Admit_CapsEachFlowSeparately()
+    {
+        var traces = new TraceSubscriptions(new ManualTime());
+        traces.Update(Array.Empty<string>(), new[] { "f1", "f2" });
+
+        var first = traces.Admit("f1", Sends("f1", 100));
+        var again = traces.Admit("f1", Sends("f1", 10));
+        var other = traces.Admit("f2", Sends("f2", 10));
+
+        Assert.Equal(TraceSubscriptions.MaxSendsPerSecond, first.Count);
+        Assert.Equal("n0", first[0].SourceId);
+        Assert.Empty(again);
+        Assert.Equal(10, other.Count);
+    }
+
+    [Fact]
+    public void Admit_RefillsOverTheSecond()
+    {
+        var time = new ManualTime();
+        var traces = new TraceSubscriptions(time);
+        traces.Update(Array.Empty<string>(), new[] { "f1" });
+        traces.Admit("f1", Sends("f1", 100));
+
+        time.Now += TimeSpan.FromMilliseconds(500);
+        var half = traces.Admit("f1", Sends("f1", 100));
+        time.Now += TimeSpan.FromSeconds(10);
+        var full = traces.Admit("f1", Sends("f1", 100));
+
+        Assert.Equal(TraceSubscriptions.MaxSendsPerSecond / 2, half.Count);
+        Assert.Equal(TraceSubscriptions.MaxSendsPerSecond, full.Count);
+    }
+}